@@ -0,0 +1,291 @@
+//=============================================================================
+//
+//     FILE : Framing.js
+//
+//  PROJECT : HTTP and WebSocket Server for NodeBots
+//
+//  PURPOSE : Message framing and encoding for MCU devices.
+//
+//            █ Firmware messages travel over a device connection as a stream
+//              of bytes.  The "framing" of a device says where one message
+//              ends and the next begins:
+//
+//                "delimiter" - messages end with "delimiter" (default "\n")
+//                "length"    - messages start with their length, big-endian,
+//                              in "lengthBytes" bytes (1, 2 or 4; default 1)
+//                "fixed"     - every message is "frameLength" bytes
+//                "cobs"      - COBS encoded messages, each ending with 0x00
+//                "raw"       - no framing, data is passed on as it arrives
+//
+//            █ The "encoding" of a device says how a message's bytes are
+//              written in the text of client messages (id|message):
+//
+//                "utf8"      - as text (default)
+//                "hex"       - as hex digits, e.g. "A50301FF"
+//                "base64"    - as base64
+//
+//            █ Both are set per device in 'portConfigs.json', e.g.
+//
+//                "framing"     : "delimiter",
+//                "delimiter"   : "\r\n",
+//                "encoding"    : "utf8"
+//
+//                "framing"     : "length",
+//                "lengthBytes" : 2,
+//                "encoding"    : "hex"
+//
+//   AUTHOR : agent <agent@local>
+//            Copyright (c) 2026
+//
+//=============================================================================
+
+//--- Globals -----------------------------------------------------------------
+
+var  FramingModes = ['delimiter', 'length', 'fixed', 'cobs', 'raw'];
+var  Encodings    = ['utf8', 'hex', 'base64'];
+var  MaxFrameSize = 64 * 1024;  // bytes, a longer frame means the stream is out of sync
+
+module.exports = { CheckFraming   : CheckFraming,
+                   CreateDeframer : CreateDeframer,
+                   EncodeFrame    : EncodeFrame,
+                   TextToBytes    : TextToBytes,
+                   BytesToText    : BytesToText };
+
+
+//-----------------------------------------------------------------------------
+//  CheckFraming
+//
+//  Returns a description of what is wrong with a device's framing and
+//  encoding settings, or '' if they are good.
+//-----------------------------------------------------------------------------
+
+function CheckFraming (device)
+{
+  var framing = device.framing || 'delimiter';
+
+  if (FramingModes.indexOf (framing) < 0)
+    return '"framing" must be one of ' + FramingModes.join (', ');
+
+  if (device.encoding != undefined && Encodings.indexOf (device.encoding) < 0)
+    return '"encoding" must be one of ' + Encodings.join (', ');
+
+  if (framing == 'delimiter' && device.delimiter != undefined && (typeof device.delimiter != 'string' || device.delimiter == ''))
+    return '"delimiter" must be a non-empty string';
+
+  if (framing == 'length' && device.lengthBytes != undefined && [1, 2, 4].indexOf (device.lengthBytes) < 0)
+    return '"lengthBytes" must be 1, 2 or 4';
+
+  if (framing == 'fixed' && !(device.frameLength > 0 && device.frameLength <= MaxFrameSize))
+    return '"frameLength" must be a number of bytes from 1 to ' + MaxFrameSize.toString();
+
+  return '';
+}
+
+
+//-----------------------------------------------------------------------------
+//  CreateDeframer
+//
+//  Returns a function to be called with each Buffer of incoming data.
+//  It calls onFrame (frameBuffer) for every complete message.
+//-----------------------------------------------------------------------------
+
+function CreateDeframer (device, onFrame)
+{
+  var framing = device.framing || 'delimiter';
+  var pending = Buffer.alloc (0);
+
+  // Raw data is passed on as it arrives
+  if (framing == 'raw')
+  {
+    return function (data)
+    {
+      if (data.length > 0)
+        onFrame (data);
+    };
+  }
+
+  return function (data)
+  {
+    var frameEnd;
+
+    pending = Buffer.concat ([pending, data]);
+
+    while (pending.length > 0)
+    {
+      if (framing == 'delimiter' || framing == 'cobs')
+      {
+        var delimiter = (framing == 'cobs' ? Buffer.from ([0]) : Buffer.from (device.delimiter || '\n'));
+
+        frameEnd = pending.indexOf (delimiter);
+        if (frameEnd < 0)
+          break;
+
+        var frame = pending.slice (0, frameEnd);
+        pending = pending.slice (frameEnd + delimiter.length);
+
+        if (framing == 'delimiter')
+          onFrame (frame);
+        else if (frame.length > 0)
+          onFrame (CobsDecode (frame));
+      }
+
+      else if (framing == 'length')
+      {
+        var lengthBytes = device.lengthBytes || 1;
+
+        if (pending.length < lengthBytes)
+          break;
+
+        frameEnd = lengthBytes + pending.readUIntBE (0, lengthBytes);
+        if (frameEnd > pending.length)
+          break;
+
+        onFrame (pending.slice (lengthBytes, frameEnd));
+        pending = pending.slice (frameEnd);
+      }
+
+      else if (framing == 'fixed')
+      {
+        if (pending.length < device.frameLength)
+          break;
+
+        onFrame (pending.slice (0, device.frameLength));
+        pending = pending.slice (device.frameLength);
+      }
+    }
+
+    // Never hold on to an endless unframed stream
+    if (pending.length > MaxFrameSize)
+      pending = Buffer.alloc (0);
+  };
+}
+
+
+//-----------------------------------------------------------------------------
+//  EncodeFrame
+//
+//  Returns the Buffer to write to a device for one message.
+//-----------------------------------------------------------------------------
+
+function EncodeFrame (device, messageBytes)
+{
+  var framing = device.framing || 'delimiter';
+
+  if (framing == 'delimiter')
+    return Buffer.concat ([messageBytes, Buffer.from (device.delimiter || '\n')]);
+
+  if (framing == 'length')
+  {
+    var lengthBytes = device.lengthBytes || 1;
+    var header      = Buffer.alloc (lengthBytes);
+
+    if (messageBytes.length >= Math.pow (2, 8 * lengthBytes))
+      throw new Error ('Message is too long for ' + lengthBytes.toString() + ' length byte(s)');
+
+    header.writeUIntBE (messageBytes.length, 0, lengthBytes);
+    return Buffer.concat ([header, messageBytes]);
+  }
+
+  if (framing == 'fixed' && messageBytes.length != device.frameLength)
+    throw new Error ('Message must be ' + device.frameLength.toString() + ' bytes');
+
+  if (framing == 'cobs')
+    return Buffer.concat ([CobsEncode (messageBytes), Buffer.from ([0])]);
+
+  // fixed and raw are written as is
+  return messageBytes;
+}
+
+
+//-----------------------------------------------------------------------------
+//  TextToBytes / BytesToText
+//
+//  Convert between the text of a client message and a device's bytes.
+//-----------------------------------------------------------------------------
+
+function TextToBytes (device, text)
+{
+  var encoding = device.encoding || 'utf8';
+
+  if (encoding == 'hex')
+  {
+    text = text.replace (/\s/g, '');
+    if (!/^([0-9A-Fa-f]{2})*$/.test (text))
+      throw new Error ('Message is not hex: ' + text);
+  }
+  else if (encoding == 'base64')
+  {
+    if (!/^[A-Za-z0-9+\/]*={0,2}$/.test (text))
+      throw new Error ('Message is not base64: ' + text);
+  }
+
+  return Buffer.from (text, encoding);
+}
+
+function BytesToText (device, bytes)
+{
+  var text = bytes.toString (device.encoding || 'utf8');
+
+  // Hex is easier to read in upper case
+  return (device.encoding == 'hex' ? text.toUpperCase () : text);
+}
+
+
+//-----------------------------------------------------------------------------
+//  COBS (Consistent Overhead Byte Stuffing)
+//
+//  Encoded data contains no 0x00 bytes, so 0x00 can end each frame.
+//-----------------------------------------------------------------------------
+
+function CobsEncode (data)
+{
+  var encoded   = Buffer.alloc (data.length + Math.ceil (data.length / 254) + 1);
+  var codeIndex = 0;
+  var outIndex  = 1;
+  var code      = 1;
+
+  for (var i=0; i<data.length; i++)
+  {
+    if (data[i] == 0)
+    {
+      encoded[codeIndex] = code;
+      codeIndex = outIndex++;
+      code      = 1;
+    }
+    else
+    {
+      encoded[outIndex++] = data[i];
+
+      if (++code == 0xFF)
+      {
+        encoded[codeIndex] = code;
+        codeIndex = outIndex++;
+        code      = 1;
+      }
+    }
+  }
+
+  encoded[codeIndex] = code;
+  return encoded.slice (0, outIndex);
+}
+
+function CobsDecode (encoded)
+{
+  var decoded  = Buffer.alloc (encoded.length);
+  var outIndex = 0;
+  var i        = 0;
+
+  while (i < encoded.length)
+  {
+    var code = encoded[i++];
+
+    for (var j=1; j<code && i<encoded.length; j++)
+      decoded[outIndex++] = encoded[i++];
+
+    // A code below 0xFF stands for a zero, except at the end
+    if (code < 0xFF && i < encoded.length)
+      decoded[outIndex++] = 0;
+  }
+
+  return decoded.slice (0, outIndex);
+}
@@ -0,0 +1,311 @@
+//=============================================================================
+//
+//     FILE : Log.js
+//
+//  PROJECT : HTTP and WebSocket Server for NodeBots
+//
+//  PURPOSE : The server log:  console, rotating log files and live listeners.
+//
+//            █ Each entry has a level and a category:
+//
+//                levels     - debug, info, warn, error
+//                categories - server, serial, client, file, http, safety
+//
+//              Entries at or above the log "level" are shown on the console
+//              and written to the log "file", e.g.
+//
+//                2016-07-15 14:03:22.120  INFO   serial  COM5 opened for Robot Motor 1
+//
+//            █ When the log file grows past "maxSize" bytes it is renamed to
+//              <file>.1 (and <file>.1 to <file>.2, ...) and a new one is
+//              started.  Only "maxFiles" files are kept, the current one
+//              included.  With no "file" the log goes to the console only.
+//              Entries are written through a stream;  Close () flushes it.
+//
+//            █ Listeners (see AddListener) receive every entry, whatever
+//              the log level, and choose for themselves which to keep.
+//
+//   AUTHOR : agent <agent@local>
+//            Copyright (c) 2026
+//
+//=============================================================================
+
+//--- Globals -----------------------------------------------------------------
+
+var  FileSystem = require ("fs");
+var  Path       = require ("path");
+
+var  Levels     = ['debug', 'info', 'warn', 'error'];
+var  Categories = ['server', 'serial', 'client', 'file', 'http', 'safety'];
+var  Settings   = { level    : 'info',
+                    file     : '',             // log file path, '' for console only
+                    maxSize  : 1024 * 1024,    // bytes, log file size before it is rotated
+                    maxFiles : 5 };            // log files kept, the current one included
+var  FileSize   = 0;   // bytes in the current log file
+var  FileStream = undefined;  // appends to the current log file
+var  Listeners  = [];
+
+module.exports = { Levels         : Levels,
+                   Categories     : Categories,
+                   CheckSettings  : CheckSettings,
+                   Configure      : Configure,
+                   Write          : Write,
+                   Exception      : Exception,
+                   Close          : Close,
+                   IsLevel        : IsLevel,
+                   FormatEntry    : FormatEntry,
+                   AddListener    : AddListener,
+                   RemoveListener : RemoveListener };
+
+
+//-----------------------------------------------------------------------------
+//  CheckSettings / Configure
+//-----------------------------------------------------------------------------
+
+function CheckSettings (settings)
+{
+  // Returns a description of what is wrong with the log settings, or ''
+  if (settings.level != undefined && Levels.indexOf (settings.level) < 0)
+    return '"level" must be one of ' + Levels.join (', ');
+
+  if (settings.file != undefined && typeof settings.file != 'string')
+    return '"file" must be the path of the log file';
+
+  if (settings.maxSize != undefined && !(settings.maxSize > 0))
+    return '"maxSize" must be a number of bytes';
+
+  if (settings.maxFiles != undefined && !(settings.maxFiles >= 1))
+    return '"maxFiles" must be 1 or more';
+
+  return '';
+}
+
+function Configure (settings)
+{
+  // Throws if the settings are bad or the log file can't be opened
+  var problem = CheckSettings (settings);
+
+  if (problem != '')
+    throw new Error ('Bad log settings: ' + problem);
+
+  for (var key in settings)
+  {
+    if (settings[key] != undefined)
+      Settings[key] = settings[key];
+  }
+
+  CloseStream ();
+  FileSize = 0;
+
+  if (Settings.file != '')
+  {
+    FileSystem.mkdirSync (Path.dirname (Settings.file), { recursive : true });
+
+    if (FileSystem.existsSync (Settings.file))
+      FileSize = FileSystem.statSync (Settings.file).size;
+
+    OpenStream ();
+  }
+}
+
+//--- Close -----------------------------------------------
+
+function Close (callback)
+{
+  // Calls callback () once all entries are written
+  var stream = FileStream;
+
+  FileStream    = undefined;
+  Settings.file = '';
+
+  if (stream == undefined)
+    callback ();
+  else
+    stream.end (callback);
+}
+
+
+//-----------------------------------------------------------------------------
+//  Write / Exception
+//-----------------------------------------------------------------------------
+
+function Write (level, category, message)
+{
+  var entry = { time     : Date.now (),
+                level    : (Levels.indexOf (level) >= 0 ? level : 'info'),
+                category : category || 'server',
+                message  : String (message) };
+
+  if (IsLevel (entry.level, Settings.level))
+  {
+    var line = FormatEntry (entry);
+
+    console.log (line);
+    WriteToFile (line);
+  }
+
+  // Listeners must not bring down the log
+  Listeners.slice ().forEach (function (listener)
+  {
+    try
+    {
+      listener (entry);
+    }
+    catch (ex)
+    {
+      console.log ('Log listener failed: ' + ex.message);
+    }
+  });
+}
+
+function Exception (ex, category)
+{
+  // With the stack trace, where there is one
+  var message = '███ Exception ███ ';
+
+  if (ex == undefined)
+    message += 'undefined';
+  else if (ex.stack != undefined)
+    message += ex.stack;
+  else if (ex.message != undefined)
+    message += ex.message;
+  else
+    message += String (ex);
+
+  Write ('error', category, message);
+}
+
+
+//-----------------------------------------------------------------------------
+//  IsLevel / FormatEntry
+//-----------------------------------------------------------------------------
+
+function IsLevel (level, leastLevel)
+{
+  // True if <level> is <leastLevel> or above
+  return Levels.indexOf (level) >= Levels.indexOf (leastLevel);
+}
+
+function FormatEntry (entry)
+{
+  var time = new Date (entry.time);
+
+  return time.getFullYear ().toString() + '-' + Pad (time.getMonth () + 1, 2) + '-' + Pad (time.getDate (), 2) + ' ' +
+         Pad (time.getHours (), 2) + ':' + Pad (time.getMinutes (), 2) + ':' + Pad (time.getSeconds (), 2) + '.' +
+         Pad (time.getMilliseconds (), 3) + '  ' +
+         (entry.level.toUpperCase () + '     ').slice (0, 5) + '  ' +
+         (entry.category + '        ').slice (0, 7) + ' ' +
+         entry.message;
+}
+
+function Pad (number, digits)
+{
+  return ('000' + number.toString()).slice (-digits);
+}
+
+
+//-----------------------------------------------------------------------------
+//  AddListener / RemoveListener
+//
+//  listener (entry) is called with each entry:  {time, level, category, message},
+//  time in ms since 1970.
+//-----------------------------------------------------------------------------
+
+function AddListener (listener)
+{
+  if (Listeners.indexOf (listener) < 0)
+    Listeners.push (listener);
+}
+
+function RemoveListener (listener)
+{
+  var index = Listeners.indexOf (listener);
+
+  if (index >= 0)
+    Listeners.splice (index, 1);
+}
+
+
+//-----------------------------------------------------------------------------
+//  Log File
+//-----------------------------------------------------------------------------
+
+function WriteToFile (line)
+{
+  if (Settings.file == '' || FileStream == undefined)
+    return;
+
+  try
+  {
+    var data = line + '\n';
+
+    if (FileSize > 0 && FileSize + Buffer.byteLength (data) > Settings.maxSize)
+    {
+      // Entries still being written go to the renamed file
+      CloseStream ();
+      RotateFiles ();
+      OpenStream ();
+    }
+
+    FileStream.write (data);
+    FileSize += Buffer.byteLength (data);
+  }
+  catch (ex)
+  {
+    FileFailed (ex);
+  }
+}
+
+function OpenStream ()
+{
+  // Opened now, so the file is there to be renamed by RotateFiles
+  var stream = FileSystem.createWriteStream (Settings.file, { fd : FileSystem.openSync (Settings.file, 'a') });
+
+  stream.on ('error', function (error)
+  {
+    if (stream == FileStream)
+      FileFailed (error);
+  });
+
+  FileStream = stream;
+}
+
+function CloseStream ()
+{
+  if (FileStream != undefined)
+    FileStream.end ();
+
+  FileStream = undefined;
+}
+
+function FileFailed (error)
+{
+  // Keep going on the console only
+  console.log ('Unable to write log file ' + Settings.file + ': ' + error.message);
+  CloseStream ();
+  Settings.file = '';
+}
+
+function RotateFiles ()
+{
+  // <file>.n-1 -> <file>.n, ..., <file> -> <file>.1;  the oldest is dropped
+  var oldest = Settings.file + '.' + (Settings.maxFiles - 1).toString();
+
+  if (Settings.maxFiles > 1 && FileSystem.existsSync (oldest))
+    FileSystem.unlinkSync (oldest);
+
+  for (var i=Settings.maxFiles-2; i>=1; i--)
+  {
+    var name = Settings.file + '.' + i.toString();
+
+    if (FileSystem.existsSync (name))
+      FileSystem.renameSync (name, Settings.file + '.' + (i + 1).toString());
+  }
+
+  if (Settings.maxFiles > 1)
+    FileSystem.renameSync (Settings.file, Settings.file + '.1');
+  else
+    FileSystem.unlinkSync (Settings.file);
+
+  FileSize = 0;
+}
@@ -0,0 +1,325 @@
+//=============================================================================
+//
+//     FILE : NetworkPort.js
+//
+//  PROJECT : HTTP and WebSocket Server for NodeBots
+//
+//  PURPOSE : Network connections to Wi-Fi MCU boards (ESP8266, ESP32, ...).
+//
+//            █ A NetworkPort works like a node-serialport port as far as
+//              NodeBotServer is concerned:  open (callback), isOpen (),
+//              write (buffer, callback), drain (callback), close (callback)
+//              and the 'open', 'data', 'close' and 'error' events.  So a network device is
+//              addressed by id|message and Broadcast, framed and reconnected
+//              just like a serial device.
+//
+//              A tcp-server port also emits 'listening' once it waits for the
+//              board, and 'open' only when the board connects.
+//
+//            █ A device uses the network by its "transport" in
+//              'portConfigs.json':
+//
+//                "tcp-client"  - connect to the board at "host":"port", giving up
+//                                after "connectTimeout" ms (default 10000)
+//                "tcp-server"  - listen on "port" (and optional "host" address)
+//                                for the board to connect
+//                "udp"         - send datagrams to "host":"port", receive on
+//                                "localPort" (any free port if not given)
+//
+//              For example:
+//
+//                {
+//                  "deviceName" : "ESP32 Sensor Board",
+//                  "transport"  : "tcp-client",
+//                  "host"       : "192.168.1.40",
+//                  "port"       : 3333,
+//                  "serialPort" : "undefined"
+//                }
+//
+//              Network devices have no "portName" or "portSettings".
+//
+//   AUTHOR : agent <agent@local>
+//            Copyright (c) 2026
+//
+//=============================================================================
+
+//--- Globals -----------------------------------------------------------------
+
+var  EventEmitter = require ("events");
+var  Util         = require ("util");
+var  Net          = require ("net");
+var  Dgram        = require ("dgram");
+
+var  NetworkTransports = ['tcp-client', 'tcp-server', 'udp'];
+var  ConnectTimeout    = 10000;  // ms, default wait for a tcp-client connection
+
+module.exports = { NetworkTransports  : NetworkTransports,
+                   IsNetworkDevice    : IsNetworkDevice,
+                   CheckNetworkConfig : CheckNetworkConfig,
+                   NetworkPortName    : NetworkPortName,
+                   NetworkPort        : NetworkPort };
+
+
+//-----------------------------------------------------------------------------
+//  IsNetworkDevice / CheckNetworkConfig / NetworkPortName
+//-----------------------------------------------------------------------------
+
+function IsNetworkDevice (device)
+{
+  return NetworkTransports.indexOf (device.transport) >= 0;
+}
+
+function CheckNetworkConfig (device)
+{
+  // Returns a description of what is wrong with a network device config, or ''
+  if (!(device.port > 0 && device.port < 65536))
+    return '"port" must be a port number for transport "' + device.transport + '"';
+
+  if (device.transport != 'tcp-server' && (typeof device.host != 'string' || device.host == ''))
+    return '"host" is required for transport "' + device.transport + '"';
+
+  if (device.localPort != undefined && !(device.localPort > 0 && device.localPort < 65536))
+    return '"localPort" must be a port number';
+
+  if (device.connectTimeout != undefined && !(device.connectTimeout > 0))
+    return '"connectTimeout" must be a number of ms';
+
+  return '';
+}
+
+function NetworkPortName (device)
+{
+  // e.g. 'tcp-client://192.168.1.40:3333', used in place of a serial port name
+  return device.transport + '://' + (device.host || '*') + ':' + device.port.toString();
+}
+
+
+//-----------------------------------------------------------------------------
+//  NetworkPort
+//-----------------------------------------------------------------------------
+
+function NetworkPort (device)
+{
+  EventEmitter.call (this);
+
+  this.path      = NetworkPortName (device);
+  this.transport = device.transport;
+  this.host      = device.host;
+  this.port      = device.port;
+  this.localPort = device.localPort;
+  this.connectTimeout = device.connectTimeout || ConnectTimeout;
+  this.socket    = undefined;  // TCP connection to the board, or UDP socket
+  this.server    = undefined;  // tcp-server only
+  this.connected = false;
+}
+
+Util.inherits (NetworkPort, EventEmitter);
+
+//--- open ------------------------------------------------
+
+NetworkPort.prototype.open = function (callback)
+{
+  var self = this;
+
+  callback = callback || function () {};
+
+  if (self.transport == 'tcp-client')
+  {
+    var socket = Net.connect ({ host : self.host, port : self.port });
+    var opened = false;
+
+    // An unreachable board may not refuse, just never answer
+    socket.setTimeout (self.connectTimeout, function ()
+    {
+      if (!opened)
+        socket.destroy (new Error ('No connection after ' + self.connectTimeout.toString() + ' ms'));
+    });
+
+    socket.once ('connect', function ()
+    {
+      opened = true;
+      socket.setTimeout (0);
+      socket.setKeepAlive (true);
+      self.AttachSocket (socket);
+      callback ();
+    });
+
+    // A failed connect is reported to the callback, not as a 'close'
+    socket.once ('error', function (error)
+    {
+      if (!opened)
+      {
+        socket.destroy ();
+        callback (error);
+      }
+    });
+  }
+
+  else if (self.transport == 'tcp-server')
+  {
+    // Already listening:  the board will connect when it can
+    if (self.server != undefined)
+    {
+      if (!self.connected)
+        self.emit ('listening');
+
+      callback ();
+      return;
+    }
+
+    self.server = Net.createServer (function (socket)
+    {
+      // One board per device:  a new connection replaces the old one
+      if (self.socket != undefined)
+      {
+        self.socket.removeAllListeners ('close');
+        self.socket.destroy ();
+      }
+
+      socket.setKeepAlive (true);
+      self.AttachSocket (socket);
+    });
+
+    self.server.once ('error', function (error)
+    {
+      self.server = undefined;
+      callback (error);
+    });
+
+    self.server.listen (self.port, self.host, function ()
+    {
+      self.server.removeAllListeners ('error');
+      self.server.on ('error', function (error) { self.emit ('error', error); });
+      self.emit ('listening');
+      callback ();
+    });
+  }
+
+  else if (self.transport == 'udp')
+  {
+    var udpSocket = Dgram.createSocket ('udp4');
+
+    udpSocket.once ('error', function (error)
+    {
+      udpSocket.close ();
+      callback (error);
+    });
+
+    udpSocket.bind (self.localPort || 0, function ()
+    {
+      udpSocket.removeAllListeners ('error');
+      udpSocket.on ('error', function (error) { self.emit ('error', error); });
+
+      // Each datagram from the board is passed on as data
+      udpSocket.on ('message', function (data, remote)
+      {
+        if (remote.port == self.port)
+          self.emit ('data', data);
+      });
+
+      self.socket    = udpSocket;
+      self.connected = true;
+      self.emit ('open');
+      callback ();
+    });
+  }
+
+  else
+    callback (new Error ('Unknown transport: ' + self.transport));
+};
+
+//--- AttachSocket ----------------------------------------
+
+NetworkPort.prototype.AttachSocket = function (socket)
+{
+  var self = this;
+
+  self.socket    = socket;
+  self.connected = true;
+
+  socket.on ('data', function (data)
+  {
+    self.emit ('data', data);
+  });
+
+  socket.on ('error', function (error)
+  {
+    self.emit ('error', error);
+  });
+
+  socket.on ('close', function ()
+  {
+    self.socket    = undefined;
+    self.connected = false;
+    self.emit ('close');
+  });
+
+  self.emit ('open');
+};
+
+//--- isOpen ----------------------------------------------
+
+NetworkPort.prototype.isOpen = function ()
+{
+  return this.connected;
+};
+
+//--- write -----------------------------------------------
+
+NetworkPort.prototype.write = function (data, callback)
+{
+  if (!this.connected)
+  {
+    if (callback)
+      callback (new Error ('Not connected'));
+    return;
+  }
+
+  if (this.transport == 'udp')
+    this.socket.send (data, 0, data.length, this.port, this.host, callback);
+  else
+    this.socket.write (data, callback);
+};
+
+//--- drain -----------------------------------------------
+
+NetworkPort.prototype.drain = function (callback)
+{
+  // Wait until the socket has sent everything written to it
+  if (this.transport != 'udp' && this.socket != undefined && this.socket.bufferSize > 0)
+    this.socket.once ('drain', function () { callback (); });
+  else
+    setImmediate (callback);
+};
+
+//--- close -----------------------------------------------
+
+NetworkPort.prototype.close = function (callback)
+{
+  var self   = this;
+  var socket = self.socket;
+
+  self.socket    = undefined;
+  self.connected = false;
+
+  if (self.server != undefined)
+  {
+    self.server.close ();
+    self.server = undefined;
+  }
+
+  if (socket != undefined)
+  {
+    socket.removeAllListeners ('close');
+
+    if (self.transport == 'udp')
+      socket.close ();
+    else
+      socket.destroy ();
+  }
+
+  self.emit ('close');
+
+  if (callback)
+    callback ();
+};
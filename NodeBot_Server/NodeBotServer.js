@@ -28,8 +28,28 @@
 //
 //                > node NodeBotServer.js
 //
-//              NodeBotServer starts by reading the 'portConfigs.json' file
-//              and opens all serial ports that are configured.
+//              with these options, each also settable by an environment variable:
+//
+//                --port 2016                 NODEBOT_PORT    - HTTP and websocket port
+//                --host 192.168.1.10         NODEBOT_HOST    - address to listen on (default all)
+//                --client ../NodeBot_Client  NODEBOT_CLIENT  - web app folder
+//                --config portConfigs.json   NODEBOT_CONFIG  - device configs file
+//                --users users.json          NODEBOT_USERS   - logins and roles file (default
+//                                                              'users.json' in this folder)
+//                --control required          NODEBOT_CONTROL - device commands need RequestControl|
+//                                                              first (default open)
+//                --help                                      - show the options
+//
+//              e.g.  > node NodeBotServer.js --port 8080 --config=lab.json
+//
+//              NodeBotServer starts by reading the 'portConfigs.json' file,
+//              starts the web server and then opens all serial ports that
+//              are configured, all at once in the background.  A config
+//              that is not right is reported by device ID and field, e.g.
+//
+//                portConfigs.json device 1 ("Robot Motor 2"): "portSettings" must be "baud|dataBits|stopBits|parity"
+//
+//              and the server does not start until it is fixed.
 //
 //              The format of the 'portConfigs.json' file is an array of
 //              serial port settings (JSON objects).  For example:
@@ -51,7 +71,107 @@
 //                :
 //              ]
 //
-//              The newline character '\n' is used for serial message delimiting.
+//              Instead of a fixed "portName", a device may be matched by its
+//              USB identity, which does not change with plug order.  Any of
+//              the following may be given; all that are given must match:
+//
+//                {
+//                  "deviceName"   : "Robot Motor 3",
+//                  "serialNumber" : "75533353038351F0E1A1",  - USB serial number
+//                  "vendorId"     : "2341",                  - USB vendor ID  (hex)
+//                  "productId"    : "0043",                  - USB product ID (hex)
+//                  "portSettings" : "57600|8|1|none",
+//                  "serialPort"   : "undefined"
+//                }
+//
+//              The matching port is looked up each time the device is opened,
+//              and "portName" is set to the port that was found.  Use the
+//              ListPorts command to see the identities of the attached boards.
+//
+//              Wi-Fi boards may be connected by TCP or UDP instead of a serial
+//              port, by setting "transport", "host" and "port" (see NetworkPort.js):
+//
+//                {
+//                  "deviceName"   : "ESP32 Sensor Board",
+//                  "transport"    : "tcp-client",         - or "tcp-server", "udp"
+//                  "host"         : "192.168.1.40",
+//                  "port"         : 3333,
+//                  "serialPort"   : "undefined"
+//                }
+//
+//              To work without the hardware, a device may be simulated with
+//              "transport" : "virtual" and a table of request -> response rules,
+//              periodic telemetry and/or a JS responder module (see VirtualPort.js):
+//
+//                {
+//                  "deviceName"   : "Simulated Arm",
+//                  "transport"    : "virtual",
+//                  "rules"        : [ { "match" : "^GETPOS$", "reply" : "POS 123 456", "delay" : 20 } ],
+//                  "serialPort"   : "undefined"
+//                }
+//
+//              For the safety watchdog (see Safety Watchdog below), a device may
+//              set the firmware message that stops it, and which of its messages
+//              are motion commands to refuse after an automatic stop:
+//
+//                  "stopMessage"   : "ESTOP",
+//                  "motionPattern" : "^(MOVE|JOG|RUN)"
+//
+//              A recorded session (see Traffic Recording below) can be played
+//              back by a virtual device, answering as the recorded device did:
+//
+//                {
+//                  "deviceName"   : "Motor 1 Replay",
+//                  "transport"    : "virtual",
+//                  "replay"       : "sessions/session-20161019-143000.jsonl",
+//                  "replayDevice" : "Robot Motor 1",
+//                  "serialPort"   : "undefined"
+//                }
+//
+//              For jobs, a device may set the firmware answers that mean a line
+//              was done (default "^ok") or failed:
+//
+//                  "jobAck"        : "^ok",
+//                  "jobError"      : "^error"
+//
+//              Numbers in a device's firmware messages may be kept as telemetry
+//              (see Telemetry below), by rules that either name the groups
+//              of a regular expression, or find name=value pairs:
+//
+//                  "telemetryRules"   : [
+//                                         { "match" : "^POS (-?\\d+) (-?\\d+)", "fields" : ["x", "y"] },
+//                                         { "match" : "(\\w+)=(-?[\\d.]+)" }
+//                                       ],
+//                  "telemetryHistory" : 3600             - samples kept of each field
+//
+//              Messages to a device are queued and written one at a time, each
+//              after the last has been sent (see Write Queue below).  A device
+//              may limit how fast they are written, how many may wait, and
+//              which repeated commands replace the one still waiting:
+//
+//                  "writeInterval" : 20,                 - ms, least time between writes
+//                  "maxQueue"      : 100,                - most messages waiting
+//                  "coalesce"      : ["^SERVO \\d+ "]    - a newer message whose match is
+//                                                        the same replaces a waiting one
+//
+//              By default the newline character '\n' is used for serial message
+//              delimiting and messages are text.  Each device may instead set
+//              its own "framing" (delimiter, length-prefixed, fixed length,
+//              COBS or raw) and "encoding" (utf8, hex or base64) of messages,
+//              see Framing.js:
+//
+//                {
+//                  "deviceName"   : "Servo Controller",
+//                  "portName"     : "COM8",
+//                  "portSettings" : "115200|8|1|none",
+//                  "framing"      : "cobs",
+//                  "encoding"     : "hex",
+//                  "serialPort"   : "undefined"
+//                }
+//
+//              If a serial port fails to open, or closes later on (board
+//              unplugged or reset), NodeBotServer keeps retrying to open it
+//              with an increasing delay, up to 30 seconds between attempts.
 //
 //            █ Folder Structure:
 //
@@ -66,8 +186,15 @@
 //                  └── NodeBot_Server             - Parent folder of the NodeBot Server
 //                        │
 //                        ├── NodeBotServer.js     - this file
+//                        ├── Framing.js           - message framing and encoding for devices
+//                        ├── NetworkPort.js       - TCP and UDP connections to Wi-Fi boards
+//                        ├── VirtualPort.js       - simulated boards for working without hardware
+//                        ├── Log.js               - the server log:  levels, categories, log files
 //                        ├── package.json         - required for this module
 //                        ├── portConfigs.json     - serial port configs for your MCU boards
+//                        ├── logs                 - server log files, see Server Log
+//                        ├── sessions             - recorded traffic, see Traffic Recording
+//                        ├── users.json           - optional logins and roles, see Login
 //                        └── node_modules         - required node modules
 //                              │                      :
 //                              ├──                    :
@@ -89,16 +216,203 @@
 //
 //              Other messages from the client app to the NodeBot Server:
 //
-//                Broadcast|message      - Broadcast the firmware <message> to all devices
+//                Login|name|password    - Log in (see Login below)
+//                Logout|                - Log out
+//                RequestControl|timeout|force
+//                                       - Take control of the machine (see Control below),
+//                                         until released or idle for <timeout> ms (optional).
+//                                         An admin may take it from another client with "force".
+//                ReleaseControl|        - Give up control
+//                Subscribe|ids|pattern  - Receive firmware messages only from devices <ids>
+//                                         (e.g. 0,2 or * for all), and only those matching
+//                                         <pattern> if given (see Subscriptions below)
+//                Unsubscribe|ids        - Stop receiving firmware messages from devices <ids>
+//                SubscribeLog|level|categories
+//                                       - Receive server log entries at <level> or above
+//                                         (debug, info, warn, error), of <categories> only
+//                                         if given, e.g. serial,http (see Server Log below)
+//                UnsubscribeLog|        - Stop receiving server log entries
+//                Broadcast|message      - Broadcast the firmware <message> to all devices,
+//                                         ahead of any messages waiting to be written.
+//                                         While the safety stop is active, devices refuse it
+//                                         as they would a motion message (see Safety Watchdog)
+//                Arm|timeout            - Arm the safety watchdog (or re-arm after it tripped),
+//                                         watching this client's heartbeats
+//                Heartbeat|             - "Still here", at least every <timeout> ms while armed
+//                                         (2000 if empty)
+//                Disarm|                - Stop the safety watchdog (the arming client, the
+//                                         controller or an admin only)
+//                GetSafety|             - Get the safety state (disarmed, armed or tripped)
+//                EStop|                 - Emergency stop:  trip the safety watchdog now, stopping
+//                                         all jobs and devices (never refused)
+//                RecordStart|           - Start recording all traffic to a new session file
+//                RecordStop|            - Stop recording (see Traffic Recording below)
+//                Query|id|timeout|pattern|message
+//                                       - Send <message> to device <id> and wait up to <timeout> ms
+//                                         for an answer matching <pattern> (see Firmware Queries)
+//                JobStart|id|path|ack   - Run the program file at <path> on device <id>, one line
+//                                         at a time, each after the firmware answers <ack>
+//                                         (see Jobs below)
+//                JobPause|id            - Pause the job on device <id> after the current line
+//                JobResume|id           - Resume it
+//                JobAbort|id            - Stop sending its lines
+//                GetTelemetry|id|field|since
+//                                       - Get the telemetry history of <field> (or all fields
+//                                         if empty) of device <id>, since time <since> (ms)
+//                ExportTelemetry|id|path|since
+//                                       - Write the telemetry history of device <id> since
+//                                         <since> to a CSV file at <path>
+//                GetStats|              - Get server and device statistics (see Statistics below)
+//                ListPorts|             - Get a list of the serial ports on this machine
+//                GetDevices|            - Get the list of configured devices and their status
+//                AddDevice|json         - Add (and open) a device, <json> as in 'portConfigs.json'
+//                RemoveDevice|id        - Close and remove device <id>
+//                SetPortSettings|id|baud|dataBits|stopBits|parity
+//                                       - Change the port settings of device <id> and reopen it
+//                SaveDevices|           - Write the current devices back to 'portConfigs.json'
 //                GetFileList|path|ext   - Get a list of files in <path> with extension <ext>
 //                GetFile|path           - Get the contents of the file at <path>
 //                PutFile|path|contents  - Put (write) <contents> to <path>
+//                GetFileTree|path|ext   - Get all directories, and files with extension <ext>,
+//                                         under <path> and its subdirectories
+//                DeleteFile|path        - Delete the file (or empty directory) at <path>
+//                RenameFile|path|newPath
+//                                       - Rename (move) the file or directory at <path>
+//                MakeDir|path           - Make a new directory at <path>
+//                StatFile|path          - Get the type, size and modified time of <path>
+//                GetFileChunked|path|chunkSize
+//                                       - Get a (large or binary) file in base64 chunks
+//                FileChunkAck|path|received
+//                                       - Got <received> bytes of it, send more
+//                PutFileBegin|path|size
+//                PutFileChunk|path|offset|base64
+//                PutFileEnd|path|crc32  - Put a (large or binary) file in base64 chunks
+//
+//              File paths are relative to the NodeBot_Client folder, using '/'
+//              or '\' on any OS.  Paths leading outside of it are refused.
 //
 //              Messages from the NodeBot Server to the client app:
 //
 //                id|message                  - Firmware <message> from device <id>
+//                DeviceStatus|id|status      - Device <id> is now opening, open, closed or retrying,
+//                                              or listening (tcp-server, until the board connects)
+//                QueryReply|id|message       - Answer from device <id> to a Query
+//                Telemetry|id|json           - {field: [[time, value], ...], ...} from GetTelemetry
+//                TelemetryExported|path|rows - ExportTelemetry succeeded
+//                Stats|json                  - Statistics from GetStats
+//                JobProgress|id|state|line|lines|path|reason
+//                                            - Job on device <id> is running, paused, done,
+//                                              aborted or failed (to all clients)
+//                LoggedIn|name|role          - Login succeeded (or Logout: anonymous)
+//                Subscriptions|json          - JSON array of {device, pattern} from Subscribe
+//                                              and Unsubscribe, device '*' (with "except"
+//                                              device IDs) for all
+//                LogSubscription|level|categories
+//                                            - Log entries now sent, from SubscribeLog (or
+//                                              UnsubscribeLog: empty level)
+//                Log|time|level|category|message
+//                                            - Server log entry (time in ms since 1970)
+//                Control|holder|reason       - <holder> is now in control, or nobody if empty
+//                                              (to all clients)
+//                Safety|state|reason         - Safety watchdog armed, disarmed or tripped (to all clients)
+//                Recording|state|path        - Traffic recording is on or off, to session file <path>
+//                                              (to all clients)
+//                PortList|json               - JSON array of serial ports from ListPorts:
+//                                              portName, manufacturer, serialNumber, vendorId, productId
+//                Devices|json                - JSON array of configured devices from GetDevices,
+//                                              also sent to all clients whenever devices change
 //                FileList|fname1,fname2,...  - List of files from GetFileList (separated by commas)
 //                File|path|contents          - Contents of file from GetFile
+//                FileTree|json               - JSON array of {path, type: 'dir' or 'file'} from GetFileTree
+//                FileDeleted|path            - DeleteFile succeeded
+//                FileRenamed|path|newPath    - RenameFile succeeded
+//                DirMade|path                - MakeDir succeeded
+//                FileStat|path|json          - {type, size, mtime} from StatFile
+//                FileBegin|path|size
+//                FileChunk|path|offset|base64
+//                FileEnd|path|size|crc32     - Chunks of the file from GetFileChunked
+//                PutFileProgress|path|received|size
+//                                            - Progress of a chunked upload
+//                FileSaved|path|size         - Chunked upload complete and verified
+//
+//              (See "Chunked File Transfer" below for the full exchange.)
+//
+//              Failed commands reply with an error message, e.g. 'Error deleting file: ...'
+//
+//              Any number of client apps may be connected at once.  Firmware
+//              messages are sent to every connected client.  FileList, File
+//              and error messages are sent only to the client that asked.
+//
+//            █ JSON protocol (version 1):  Newer client apps may instead send
+//              JSON messages on the socket.io 'json' event, which carry any
+//              payload (including '|') and are correlated by request ID:
+//
+//                { "v": 1, "type": "GetFile", "id": "r17", "payload": { "path": "arm.txt" } }
+//                { "v": 1, "type": "Send", "id": "r18", "device": 0, "payload": { "message": "GO" } }
+//
+//              Every legacy command above is available by the same name, with
+//              its fields as named payload members (see JsonCommandFields).
+//              Replies carry the request's "id":
+//
+//                { "v": 1, "type": "File", "id": "r17", "payload": { "path": ..., "contents": ... } }
+//                { "v": 1, "type": "Ack",  "id": "r18", "payload": {} }
+//                { "v": 1, "type": "Error", "id": "r18",
+//                  "payload": { "code": "DeviceNotOpen", "message": "Device 0 (...) is not open" } }
+//
+//              Firmware messages and other events keep coming as legacy
+//              messages until the client sends Hello, after which they are
+//              sent to it as JSON on the 'json' event instead:
+//
+//                { "v": 1, "type": "Hello", "id": "r1" }   ->  { "v": 1, "type": "Hello", "id": "r1", "payload": { "v": 1 } }
+//
+//                { "v": 1, "type": "DeviceMessage", "payload": { "device": 0, "message": "POS 123 456" } }
+//                { "v": 1, "type": "DeviceStatus",  "payload": { "device": 0, "status": "open" } }
+//
+//            █ Login:  If there is a 'users.json' file, clients must log in,
+//              and each user may do what their role allows (see Authentication
+//              below):
+//
+//                viewer   - receive device messages and events, read files
+//                operator - also send device commands, queries, jobs, ...
+//                admin    - also write files and change the device config
+//
+//              {
+//                "anonymous" : "none",           - role of clients not logged in (none or viewer)
+//                "users"     : [
+//                                { "name" : "bill", "password" : "scrypt:9c1e...:4d2b...", "role" : "admin" },
+//                                { "name" : "rig1", "token" : "7f3a9c...", "role" : "operator" }
+//                              ]
+//              }
+//
+//              Web app clients log in with Login|name|password (a token may be
+//              used as the password), or when connecting with an HTTP
+//              "Authorization" header or a "token" query parameter.  HTTP
+//              requests use Basic (name:password) or Bearer (token) authorization.
+//              Passwords are stored as salted hashes.  A plain-text "password"
+//              is replaced by its hash when the server loads the file.
+//              Keep 'users.json' readable only by the server's account.
+//
+//            █ Control:  With several clients connected, one at a time may be in
+//              control (see Control Arbitration below).  While a client holds
+//              control, device messages, Query, Broadcast, Arm, Disarm and
+//              the Job commands from any other client are refused, except an
+//              E-STOP:  EStop| or a Broadcast of a device's "stopMessage".
+//
+//            █ REST API:  Scripts and test rigs may send single commands over
+//              plain HTTP instead (see REST API below), e.g.
+//
+//                curl http://localhost:2016/api/devices
+//                curl -X POST -H "Content-Type: application/json" -d '{"message":"GETPOS"}' \
+//                     http://localhost:2016/api/devices/0/send
+//
+//              They are run just like the websocket commands and return the
+//              same JSON reply, or an error with a matching HTTP status:
+//
+//                { "type": "Devices", "payload": [ ... ] }
+//                { "type": "Error",   "payload": { "code": "DeviceNotOpen", "message": "..." } }
+//
+//              For monitoring, GET /health answers 200 if all devices are open
+//              (503 if not) and GET /metrics gives the statistics for Prometheus.
 //
 //            █ Architecture:
 //
@@ -154,10 +468,163 @@
 
 //--- Globals -----------------------------------------------------------------
 
-var  MCUPorts         = [];
-var  CurrentPortIndex = 0;
-var  FileSystem       = require ("fs");
-var  WebSocket        = undefined;
+var  FileSystem        = require ("fs");
+var  Path              = require ("path");
+var  Crypto            = require ("crypto");
+var  MCUPorts          = [];
+var  ShuttingDown      = false;
+var  ReconnectMinDelay = 1000;   // ms, first serial port reconnect attempt
+var  ReconnectMaxDelay = 30000;  // ms, backoff limit between attempts
+var  PortConfigsFile   = Path.resolve (__dirname, 'portConfigs.json');  // --config to use another
+var  HttpPort          = 2016;
+var  HttpHost          = '';     // address to listen on, '' for all
+var  ServerOptions     =         // command line option (--port 8080) and its environment variable
+{
+  port    : 'NODEBOT_PORT',
+  host    : 'NODEBOT_HOST',
+  client  : 'NODEBOT_CLIENT',
+  config  : 'NODEBOT_CONFIG',
+  users   : 'NODEBOT_USERS',
+  control : 'NODEBOT_CONTROL'
+};
+var  DeviceConfigKeys  = ['deviceName', 'portName', 'portSettings', 'serialPort', 'serialNumber', 'vendorId', 'productId',
+                          'transport', 'host', 'port', 'localPort', 'connectTimeout', 'framing', 'delimiter', 'lengthBytes', 'frameLength', 'encoding',
+                          'stopMessage', 'motionPattern', 'jobAck', 'jobError', 'maxQueue', 'writeInterval', 'coalesce',
+                          'telemetryRules', 'telemetryHistory', 'rules', 'telemetry', 'responder', 'replay', 'replayDevice', 'replaySync'];
+var  DeviceRuntimeKeys = ['status', 'retryDelay', 'reconnectTimer', 'serialPort', 'queries', 'writeQueue', 'job', 'telemetryData', 'stats'];  // not saved to config
+var  QueryTimeout      = 2000;   // ms, default time for a device to answer a Query
+var  DefaultMaxQueue   = 100;    // messages waiting to be written to a device
+var  DefaultJobAck     = '^ok';  // firmware answer to each line of a job
+var  TelemetryHistory  = 3600;   // samples kept of each telemetry field, unless the device sets "telemetryHistory"
+var  ProgressInterval  = 500;    // ms, least time between JobProgress messages while running
+var  SessionsFolder    = Path.resolve (__dirname, 'sessions');  // recorded traffic session files
+var  Recording         = undefined;   // session being recorded:  {path, stream, startTime}
+var  HeartbeatTimeout  = 2000;   // ms, longest wait for the controlling client's Heartbeat
+var  SafetyState       = 'disarmed';  // disarmed, armed or tripped (see Safety Watchdog)
+var  SafetyClient      = undefined;   // client watched while armed
+var  HeartbeatTimer    = undefined;
+var  ArmedTimeout      = HeartbeatTimeout;  // ms, heartbeat timeout of the current Arm|
+var  ClientFolder      = Path.resolve (__dirname, '..', 'NodeBot_Client');  // web app files, next to this folder wherever the server is started from
+var  FileRootFolder    = ClientFolder;  // file commands may not reach outside this folder
+var  DefaultChunkSize  = 48 * 1024;     // bytes per chunk for chunked file transfer
+var  MaxChunkSize      = 1024 * 1024;
+var  ChunkWindow       = 4;             // FileChunk messages sent ahead of the client's FileChunkAck
+var  Crc32Table        = undefined;
+var  Node_SerialPort   = require ("serialport");
+var  Framing           = require ("./Framing.js");
+var  NetworkPort       = require ("./NetworkPort.js");
+var  VirtualPort       = require ("./VirtualPort.js");
+var  Log               = require ("./Log.js");
+var  LogSettings       = { level : 'info', file : Path.resolve (__dirname, 'logs', 'NodeBotServer.log'), maxSize : 1024 * 1024, maxFiles : 5 };  // see Log.js
+var  SendingLogEntry   = false;  // true while a log entry is sent to clients, see SendLogEntry
+var  WebClients        = [];  // one entry per connected web app client
+var  StartTime         = Date.now ();  // for uptime
+var  MaxRequestBody    = 8 * 1024 * 1024;  // bytes, largest REST API request body
+var  HttpReplyTimeout  = 30000;  // ms, longest wait for a REST API command's reply (plus a Query's timeout)
+var  UsersFile         = Path.resolve (__dirname, 'users.json');  // --users to use another
+var  Users             = undefined;  // from UsersFile, undefined if there is none (no login needed)
+var  Roles             = ['none', 'viewer', 'operator', 'admin'];  // each may do all that the ones before may
+var  Controller        = undefined;  // client in control:  {client, timeout, timer}, see Control Arbitration
+var  ControlRequired   = false;      // true:  commands that need control are refused while nobody has it (--control required)
+var  ControlCommands   = ['Query', 'Broadcast', 'Arm', 'Disarm', 'JobStart', 'JobPause', 'JobResume', 'JobAbort'];  // and id|message
+var  CommandRoles      =      // least role for each command, 'operator' if not listed
+{
+  Login           : 'none',
+  Logout          : 'none',
+  GetSafety       : 'viewer',
+  EStop           : 'viewer',
+  ListPorts       : 'viewer',
+  GetDevices      : 'viewer',
+  GetFileList     : 'viewer',
+  GetFile         : 'viewer',
+  GetFileTree     : 'viewer',
+  StatFile        : 'viewer',
+  GetFileChunked  : 'viewer',
+  FileChunkAck    : 'viewer',
+  GetTelemetry    : 'viewer',
+  GetStats        : 'viewer',
+  SubscribeLog    : 'admin',
+  UnsubscribeLog  : 'admin',
+  ExportTelemetry : 'admin',
+  Subscribe       : 'viewer',
+  Unsubscribe     : 'viewer',
+  AddDevice       : 'admin',
+  RemoveDevice    : 'admin',
+  SetPortSettings : 'admin',
+  SaveDevices     : 'admin',
+  PutFile         : 'admin',
+  DeleteFile      : 'admin',
+  RenameFile      : 'admin',
+  MakeDir         : 'admin',
+  PutFileBegin    : 'admin',
+  PutFileChunk    : 'admin',
+  PutFileEnd      : 'admin'
+};
+var  HttpErrorStatus   =      // HTTP status of each REST API error code (500 if not listed)
+{
+  BadCommand         : 400,
+  BadParameter       : 400,
+  BadConfig          : 400,
+  BadMessage         : 400,
+  BadDeviceID        : 404,
+  AccessDenied       : 403,
+  LoginRequired      : 401,
+  NotAuthorized      : 403,
+  NotInControl       : 409,
+  DeviceNotOpen      : 409,
+  SafetyTripped      : 409,
+  JobRunning         : 409,
+  QueueFull          : 503,
+  QueryTimeout       : 504
+};
+var  ProtocolVersion   = 1;   // JSON protocol version
+var  JsonCommandFields =      // JSON payload members, in the order of the legacy fields
+{
+  Send            : ['message'],  // with "device":  the legacy id|message
+  Broadcast       : ['message'],
+  Query           : ['device', 'timeout', 'pattern', 'message'],
+  Arm             : ['timeout'],
+  EStop           : [],
+  Disarm          : [],
+  Heartbeat       : [],
+  GetSafety       : [],
+  Login           : ['name', 'password'],
+  Logout          : [],
+  RequestControl  : ['timeout', 'force'],
+  ReleaseControl  : [],
+  Subscribe       : ['devices', 'pattern'],
+  Unsubscribe     : ['devices'],
+  SubscribeLog    : ['level', 'categories'],
+  UnsubscribeLog  : [],
+  RecordStart     : [],
+  RecordStop      : [],
+  JobStart        : ['device', 'path', 'ack'],
+  JobPause        : ['device'],
+  JobResume       : ['device'],
+  JobAbort        : ['device'],
+  GetStats        : [],
+  GetTelemetry    : ['device', 'field', 'since'],
+  ExportTelemetry : ['device', 'path', 'since'],
+  ListPorts       : [],
+  GetDevices      : [],
+  AddDevice       : ['config'],
+  RemoveDevice    : ['device'],
+  SetPortSettings : ['device', 'portSettings'],
+  SaveDevices     : [],
+  GetFileList     : ['path', 'ext'],
+  GetFile         : ['path'],
+  PutFile         : ['path', 'contents'],
+  GetFileTree     : ['path', 'ext'],
+  DeleteFile      : ['path'],
+  RenameFile      : ['path', 'newPath'],
+  MakeDir         : ['path'],
+  StatFile        : ['path'],
+  GetFileChunked  : ['path', 'chunkSize'],
+  FileChunkAck    : ['path', 'received'],
+  PutFileBegin    : ['path', 'size'],
+  PutFileChunk    : ['path', 'offset', 'data'],
+  PutFileEnd      : ['path', 'crc32']
+};
 
 //--- Startup -----------------------------------------------------------------
 
@@ -179,317 +646,4882 @@ process.on ('SIGINT', CloseSerialPorts);
 // Load extra string functions
 LoadStringExtras ();
 
-// Initialize all configured serial ports
+// Log to the console, the log file and live log clients
+InitLog ();
+
+// Port, address and folders from the command line or environment
+ReadServerOptions ();
+
+// Logins and roles, if any
+LoadUsers ();
+
+// Load the devices, start the web server and open the devices
 OpenSerialPorts ();
 
 
 //-----------------------------------------------------------------------------
-//  OpenSerialPorts
+//  Server Options
+//
+//  --name value or --name=value on the command line, else the environment
+//  variable of the option (see ServerOptions), else the default.  A bad
+//  option stops the server.
 //-----------------------------------------------------------------------------
 
-function OpenSerialPorts ()
+function ReadServerOptions ()
 {
   try
   {
-    var Node_SerialPort = require ("serialport");
-    var i, portSettings;
-
-    // (Thanks to voodootikigod/node-serialport on github)
+    var options = {};
+    var args    = process.argv.slice (2);
 
-    // Load serial port configurations from [portConfigs.json]
-    var portConfigs = FileSystem.readFileSync ('portConfigs.json');
-    if (portConfigs == undefined)
-      PostMessage ('Unable to load port configs:  Check [portConfigs.json] file.', false);
-    else
+    Object.keys (ServerOptions).forEach (function (name)
     {
-      // Load the MCUPorts array
-      MCUPorts = JSON.parse (portConfigs.toString());
-      var dataCallbacks = [MCUPorts.length];
+      if (process.env[ServerOptions[name]] != undefined)
+        options[name] = process.env[ServerOptions[name]];
+    });
 
-      // Define the callback functions for incoming data from the firmware
-      // This must be done using literal eval's since the loop index will not be valid at time of call
-      // It must take the following form:
-      //   dataCallbacks[0] = function (firmwareMessage) { PostMessage ('00|' + firmwareMessage, true); };
-      for (i=0; i<MCUPorts.length; i++)
-        eval ("dataCallbacks[" + i.toString() + "] = function (firmwareMessage) { PostMessage ('" + i.toString() + "|' + firmwareMessage, true); }");
+    for (var i=0; i<args.length; i++)
+    {
+      var option = /^--([a-z]+)(=(.*))?$/.exec (args[i]);
 
-      // Instantiate serial ports
-      for (i=0; i<MCUPorts.length; i++)
+      if (option != null && option[1] == 'help')
       {
-        portSettings = MCUPorts[i].portSettings.split ('|');
-        MCUPorts[i].serialPort = new Node_SerialPort (MCUPorts[i].portName,
-                                                     {
-                                                       autoOpen : false,
-                                                       baudRate : parseInt (portSettings[0]),
-                                                       dataBits : parseInt (portSettings[1]),
-                                                       stopBits : parseInt (portSettings[2]),
-                                                       parity   : portSettings[3],
-                                                       parser   : Node_SerialPort.parsers.readline('\n')
-                                                     });
-        MCUPorts[i].serialPort.on ('data', dataCallbacks[i]);
+        ShowUsage ();
+        process.exit (0);
       }
 
-      // Open the first serial port
-      // Other ports will open recursively
-      CurrentPortIndex = 0;
-      OpenNextPort ();
+      if (option == null || ServerOptions[option[1]] == undefined)
+        throw new Error ('Unknown option: ' + args[i]);
+
+      if (option[2] != undefined)
+        options[option[1]] = option[3];
+      else if (i + 1 < args.length)
+        options[option[1]] = args[++i];
+      else
+        throw new Error ('Missing value of --' + option[1]);
+    }
+
+    if (options.port != undefined)
+    {
+      HttpPort = Number (options.port);
+
+      if (!/^\d+$/.test (options.port) || !(HttpPort > 0 && HttpPort < 65536))
+        throw new Error ('Bad port: ' + options.port + ' (1 to 65535)');
+    }
+
+    if (options.host != undefined)
+      HttpHost = options.host;
+
+    if (options.client != undefined)
+    {
+      ClientFolder   = Path.resolve (options.client);
+      FileRootFolder = ClientFolder;
+    }
+
+    if (!FileSystem.existsSync (ClientFolder) || !FileSystem.statSync (ClientFolder).isDirectory ())
+      throw new Error ('No web app folder ' + ClientFolder);
+
+    if (options.config != undefined)
+    {
+      if (options.config == '')
+        throw new Error ('Bad config: the path of the device configs file is required');
+
+      PortConfigsFile = options.config;
+    }
+
+    if (options.users != undefined)
+    {
+      // Asked for logins:  never run open for want of the file
+      UsersFile = Path.resolve (options.users);
+
+      if (!FileSystem.existsSync (UsersFile))
+        throw new Error ('No users file ' + UsersFile);
+    }
+
+    if (options.control != undefined)
+    {
+      if (options.control != 'open' && options.control != 'required')
+        throw new Error ('Bad control: ' + options.control + ' (open or required)');
+
+      ControlRequired = (options.control == 'required');
     }
   }
   catch (ex)
   {
-    ShowException (ex, WebSocket);
+    PostMessage (ex.message, false, 'server', 'error');
+    ShowUsage ();
+    process.exit (1);
   }
 }
 
-//--- OpenNextPort ----------------------------------------
+//--- ShowUsage -------------------------------------------
+
+function ShowUsage ()
+{
+  console.log ();
+  console.log ('Usage:  node NodeBotServer.js [--port 2016] [--host address] [--client folder] [--config file] [--users file] [--control open|required]');
+  console.log ();
+  console.log ('  --port     ' + ServerOptions.port    + '     HTTP and websocket port (default 2016)');
+  console.log ('  --host     ' + ServerOptions.host    + '     address to listen on (default all)');
+  console.log ('  --client   ' + ServerOptions.client  + '   web app folder (default ../NodeBot_Client)');
+  console.log ('  --config   ' + ServerOptions.config  + '   device configs file (default portConfigs.json)');
+  console.log ('  --users    ' + ServerOptions.users   + '    logins and roles file (default users.json in the server folder)');
+  console.log ('  --control  ' + ServerOptions.control + '  required:  device commands need RequestControl| first (default open)');
+  console.log ();
+}
+
+
+//-----------------------------------------------------------------------------
+//  OpenSerialPorts
+//
+//  The web and websocket servers start as soon as the devices are loaded, so
+//  the web app is up even with no devices, or while a slow port opens.  All
+//  devices then open at once, in the background, and clients see how each
+//  one does by DeviceStatus messages (opening, then open or retrying, which
+//  lasts until the port opens).
+//-----------------------------------------------------------------------------
 
-function OpenNextPort ()
+function OpenSerialPorts ()
 {
   try
   {
-    // All serial ports opened?
-    if (CurrentPortIndex >= MCUPorts.length)
+    // (Thanks to voodootikigod/node-serialport on github)
+
+    // Load the MCUPorts array from [portConfigs.json]
+    // Serial ports are instantiated when opened, once the port name is known
+    MCUPorts = LoadPortConfigs ();
+    MCUPorts.forEach (InitDevice);
+
+    // Initialize web server and web socket messaging
+    InitServers (HttpPort, HttpHost);
+
+    if (MCUPorts.length == 0)
+    {
+      PostMessage ('No devices in ' + PortConfigsFile, false, 'serial', 'warn');
       return;
+    }
 
-    MCUPorts[CurrentPortIndex].serialPort.open (function (error)
+    // Open all devices at once, and tell the clients how it went
+    var devices = MCUPorts.slice ();
+    var pending = devices.length;
+
+    devices.forEach (function (device)
     {
-      if (error)
-        PostMessage ('Unable to open serial port ' + MCUPorts[CurrentPortIndex].portName + ' for ' + MCUPorts[CurrentPortIndex].deviceName, false);
-      else
-        PostMessage (MCUPorts[CurrentPortIndex].portName + ' opened for ' + MCUPorts[CurrentPortIndex].deviceName, false);
+      OpenDevice (device, function ()
+      {
+        if (--pending > 0)
+          return;
 
-      // Recursively open the next serial port
-      if (++CurrentPortIndex < MCUPorts.length)
-        setTimeout (OpenNextPort, 100);  // delay between opening serial ports
-      else
-        // All serial ports are open ...
-        // Initialize web server and web socket messaging
-        InitServers (2016);
+        var openCount = devices.filter (IsDeviceOpen).length;
+
+        PostMessage ('Startup:  ' + openCount.toString() + ' of ' + devices.length.toString() + ' device(s) open', true, 'serial', (openCount < devices.length ? 'warn' : 'info'));
+      });
     });
   }
   catch (ex)
   {
-    ShowException (ex, WebSocket);
+    ShowException (ex);
   }
 }
 
-//--- CloseSerialPorts ------------------------------------
+//--- LoadPortConfigs -------------------------------------
 
-function CloseSerialPorts ()
+function LoadPortConfigs ()
 {
+  // The device configs, checked entry by entry.  The server stops if any is bad.
+  var problems = [];
+  var configs  = undefined;
+
   try
   {
-    // Close all serial ports
-    MCUPorts.forEach (function (device)
+    configs = JSON.parse (FileSystem.readFileSync (PortConfigsFile).toString ());
+  }
+  catch (ex)
+  {
+    problems.push (ex.message + JsonErrorLine (ex));
+  }
+
+  if (configs != undefined && !Array.isArray (configs))
+    problems.push ('must be an array of device configs:  [ { "deviceName" : ... }, ... ]');
+
+  else if (configs != undefined)
+  {
+    configs.forEach (function (config, deviceID)
     {
-      if (device.serialPort != undefined)
+      var entry   = 'device ' + deviceID.toString() + (config && typeof config.deviceName == 'string' ? ' ("' + config.deviceName + '")' : '');
+      var problem = CheckDeviceConfig (config);
+
+      if (problem != '')
+        problems.push (entry + ': ' + problem);
+
+      // Most likely a misspelled field
+      else
       {
-        if (device.serialPort.isOpen ())
+        Object.keys (config).forEach (function (key)
         {
-          device.serialPort.close ();
-          PostMessage (device.portName + ' closed', false);
-        }
+          if (DeviceConfigKeys.indexOf (key) < 0)
+            PostMessage (PortConfigsFile + ' ' + entry + ': unknown field "' + key + '" (ignored)', false, 'server', 'warn');
+        });
       }
     });
   }
-  catch (ex)
+
+  if (problems.length > 0)
   {
-    ShowException (ex);
+    problems.forEach (function (problem)
+    {
+      PostMessage (PortConfigsFile + ' ' + problem, false, 'server', 'error');
+    });
+
+    PostMessage ('Unable to load ' + PortConfigsFile + ' (' + problems.length.toString() + ' problem(s), fix it to start the server)', false, 'server', 'error');
+    process.exit (1);
   }
 
-  process.exit ();
+  return configs;
 }
 
+//--- JsonErrorLine ---------------------------------------
 
-//-----------------------------------------------------------------------------
-//  InitServers
-//-----------------------------------------------------------------------------
+function JsonErrorLine (ex)
+{
+  // ' (line n)' for a JSON syntax error that only gives its position
+  var position = /at position (\d+)$/.exec (ex.message);
+
+  if (!(ex instanceof SyntaxError) || position == null)
+    return '';
+
+  var text = FileSystem.readFileSync (PortConfigsFile).toString ().slice (0, parseInt (position[1]));
+
+  return ' (line ' + text.split ('\n').length.toString() + ')';
+}
+
+//--- InitDevice ------------------------------------------
+
+function InitDevice (device)
+{
+  // Set the runtime fields of a device loaded from config
+  device.status         = 'closed';
+  device.retryDelay     = ReconnectMinDelay;
+  device.reconnectTimer = undefined;
+  device.serialPort     = undefined;
+  device.queries        = [];  // Query commands waiting for an answer, oldest first
+  device.writeQueue     = NewWriteQueue ();
+  device.job            = undefined;  // job running on the device (see Jobs)
+  device.stats          = NewDeviceStats ();
+  device.telemetryData  = Object.create (null);  // [[time, value], ...] of each telemetry field, oldest first (named by the firmware, so no prototype)
+}
 
-function InitServers (port)
+//--- CreateSerialPort ------------------------------------
+
+function CreateSerialPort (device, portName)
 {
   try
   {
-    // Load required modules for web and socket servers
-    var express   = require ('express');
-    var botServer = express ();
-    var http      = require ('http').Server (botServer);
-    var io        = require ('socket.io')(http);
+    // Drop any previous serial port (e.g. the board came back on another port)
+    if (device.serialPort != undefined)
+      device.serialPort.removeAllListeners ();
 
-    // Set location of website files:
-    //
-    //  (your NodeBot project folder)
-    //    │
-    //    ├── NodeBot_Client (the Web App UI)
-    //    └── NodeBot_Server (this module)
-    //
-    botServer.use (express.static ('../NodeBot_Client/'));
+    // Network and virtual devices get ports that work like a serial port
+    if (NetworkPort.IsNetworkDevice (device))
+      device.serialPort = new NetworkPort.NetworkPort (device);
+    else if (VirtualPort.IsVirtualDevice (device))
+      device.serialPort = new VirtualPort.VirtualPort (device);
+    else
+    {
+      var portSettings = device.portSettings.split ('|');
 
-    // Socket event handling
-    io.on ('connection', function (webSocket)
+      device.serialPort = new Node_SerialPort (portName,
+                                               {
+                                                 autoOpen : false,
+                                                 baudRate : parseInt (portSettings[0]),
+                                                 dataBits : parseInt (portSettings[1]),
+                                                 stopBits : Number (portSettings[2]),
+                                                 parity   : portSettings[3],
+                                                 parser   : Node_SerialPort.parsers.raw
+                                               });
+    }
+
+    // Incoming data from the firmware goes to all clients as id|message,
+    // one message per frame (see Framing.js).  The device ID is looked up
+    // at call time since it is the device's current position in the
+    // MCUPorts array.
+    var deframe = Framing.CreateDeframer (device, function (frame)
     {
-      // Save global reference to websocket and indicate connection
-      WebSocket = webSocket;
+      var deviceID        = MCUPorts.indexOf (device);
+      var firmwareMessage = Framing.BytesToText (device, frame);
 
-      // Process web app UI messages
-      WebSocket.on ('message', ProcessClientMessage);
+      device.stats.linesIn++;
+      RecordTraffic  ('in', device, firmwareMessage);
+      ParseTelemetry (device, firmwareMessage);
+      AnswerQuery   (device, firmwareMessage);
+      AnswerJob     (device, firmwareMessage);
+      PostDeviceMessage (device, deviceID, firmwareMessage);
     });
 
-    // Start the web server
-    http.listen (port, function ()  // NOT botServer.listen () !!!
+    device.serialPort.on ('data', function (data)
+    {
+      device.stats.bytesIn += data.length;
+      deframe (data);
+    });
+
+    device.serialPort.on ('open', function ()
+    {
+      device.retryDelay = ReconnectMinDelay;
+      SetDeviceStatus (device, 'open');
+    });
+
+    // A tcp-server device waits for its board to connect
+    device.serialPort.on ('listening', function ()
+    {
+      device.retryDelay = ReconnectMinDelay;
+      SetDeviceStatus (device, 'listening');
+    });
+
+    // Unplugged, reset or otherwise lost:  keep trying to get it back
+    device.serialPort.on ('close', function ()
+    {
+      SetDeviceStatus (device, 'closed');
+      ScheduleReconnect (device);
+    });
+
+    device.serialPort.on ('disconnect', function ()
+    {
+      SetDeviceStatus (device, 'closed');
+      ScheduleReconnect (device);
+    });
+
+    device.serialPort.on ('error', function (error)
     {
-      PostMessage ('NodeBot Server is listening on port [' + port.toString() + '] ... use Browser address http://localhost:' + port.toString(), false);
+      device.stats.portErrors++;
+      PostMessage ('Port error on ' + portName + ' for ' + device.deviceName + ': ' + error.message, false, 'serial', 'warn');
     });
   }
   catch (ex)
   {
-    ShowException (ex, WebSocket);
+    ShowException (ex);
   }
 }
 
+//--- OpenDevice ------------------------------------------
 
-//-----------------------------------------------------------------------------
-//  ProcessClientMessage
-//-----------------------------------------------------------------------------
-
-function ProcessClientMessage (clientMessage)
+function OpenDevice (device, callback)
 {
   try
   {
-    // Echo client message to console
-    PostMessage (clientMessage, false);
-
-    // Check minimum requirements
-    if (clientMessage.length < 3 || !clientMessage.contains ('|'))
-      return;
+    // Reconnect attempts stay 'retrying' until the port opens
+    if (device.status != 'retrying')
+      SetDeviceStatus (device, 'opening');
 
-    var fields = clientMessage.split ('|');
-    if (fields.length < 2)
-      PostMessage ('Bad command: ' + clientMessage, true);
-    else
+    ResolvePortName (device, function (portName)
     {
-      var command = fields[0];
-
-      //-----------------------------------------
-      // id|message
-      //-----------------------------------------
-      if (command[0] >= '0' && command[0] <= '9')
+      // Removed while looking for its port?
+      if (MCUPorts.indexOf (device) < 0)
       {
-        // Forward firmware message to appropriate port:
-        var deviceID = parseInt (command);
-        if (deviceID < 0 || deviceID >= MCUPorts.length)
-          PostMessage ('Bad device ID: ' + deviceID.toString(), true);
-        else
-          MCUPorts[deviceID].serialPort.write (fields[1] + '\n');
+        if (callback)
+          callback (new Error ('Device removed'));
+        return;
       }
 
-      //-----------------------------------------
-      // Broadcast|message
-      //-----------------------------------------
-      else if (command == 'Broadcast')
+      if (portName == undefined)
       {
-        // Broadcast message to all ports (e.g. E-STOP)
-        MCUPorts.forEach (function (device)
-        {
-          device.serialPort.write (fields[1] + '\n');
-        });
+        PostMessage ('No port found for ' + device.deviceName, false, 'serial', 'warn');
+        ScheduleReconnect (device);
+
+        if (callback)
+          callback (new Error ('No serial port found'));
+        return;
       }
 
-      //-----------------------------------------
-      // GetFileList|path|ext
-      // (relative to NodeBot_Client folder)
-      //-----------------------------------------
-      else if (command == 'GetFileList')
+      // (Re)create the serial port if it is new or has moved
+      if (device.serialPort == undefined || device.serialPort.path != portName)
       {
-        if (fields.length < 3)
-          PostMessage ('Missing extension parameter.', false);
-        else
-        {
-          // Get a list of files under NodeBot_Client\path with extension ext
-          // If ext is '*' then all files are returned
-          FileSystem.readdir ('..\\NodeBot_Client\\' + fields[1], function (error, files)
-          {
-            if (error)
-              PostMessage ('Unable to get file list: ' + error.message, false);
-            else
-            {
-              var ext = fields[2];
-              var fileListString = 'FileList|';
-
-              // Send array of filenames as a comma delimited string
-              files.forEach (function (name)
-              {
-                if (ext == '*' || name.endsWith (ext))
-                  fileListString += name + ',';
-              });
-
-              // Remove last comma if any
-              if (fileListString.endsWith (','))
-                fileListString = fileListString.slice (0, -1);
+        if (IsSerialDevice (device))
+          device.portName = portName;
 
-              PostMessage (fileListString, true);
-            }
-          });
-        }
+        CreateSerialPort (device, portName);
       }
 
-      //-----------------------------------------
-      // GetFile|path
-      // (relative to NodeBot_Client folder)
-      //-----------------------------------------
-      else if (command == 'GetFile')
+      device.serialPort.open (function (error)
       {
-        // Get fields[1] of file at NodeBot_Client\path
-        FileSystem.readFile ('..\\NodeBot_Client\\' + fields[1], function (error, fileData)
+        if (error)
         {
-          if (error)
-            PostMessage ('Error reading file: ' + error.message, true);
-          else
-            PostMessage ('File|' + fields[1] + '|' + fileData.toString(), true);
-        });
-      }
+          PostMessage ('Unable to open ' + portName + ' for ' + device.deviceName + (error.message ? ': ' + error.message : ''), false, 'serial', 'warn');
+          ScheduleReconnect (device);
+        }
+        else if (IsDeviceOpen (device))
+          PostMessage (portName + ' opened for ' + device.deviceName, false, 'serial');
+        else
+          PostMessage (portName + ' waiting for ' + device.deviceName + ' to connect', false, 'serial');
 
-      //-----------------------------------------
-      // PutFile|path|contents
-      // (relative to NodeBot_Client folder)
-      //-----------------------------------------
-      else if (command == 'PutFile')
-      {
-        // Write contents to file at NodeBot_Client\path
-        FileSystem.writeFile ('..\\NodeBot_Client\\' + fields[1], fields[2], function (error)
-        {
-          if (error)
-            PostMessage ('Error writing file: ' + error.message);
+        if (callback)
+          callback (error);
+      });
+    });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- ResolvePortName -------------------------------------
+
+function ResolvePortName (device, callback)
+{
+  try
+  {
+    // Network devices are named by their address
+    if (NetworkPort.IsNetworkDevice (device))
+    {
+      callback (NetworkPort.NetworkPortName (device));
+      return;
+    }
+
+    if (VirtualPort.IsVirtualDevice (device))
+    {
+      callback (VirtualPort.VirtualPortName (device));
+      return;
+    }
+
+    // Devices without a USB identity use their configured port name
+    if (device.serialNumber == undefined && device.vendorId == undefined && device.productId == undefined)
+    {
+      callback (device.portName);
+      return;
+    }
+
+    // Otherwise find the attached port with a matching identity
+    ListSerialPorts (function (error, ports)
+    {
+      var matchingPort = undefined;
+
+      if (error)
+        PostMessage ('Unable to list serial ports: ' + error.message, false, 'serial', 'warn');
+      else
+      {
+        // Two identical boards (same vendorId and productId) must not
+        // both take the first one found, nor one that another device names
+        // by its serial number
+        matchingPort = ports.find (function (port)
+        {
+          return !IsPortClaimed (port.portName, device) &&
+                 (device.serialNumber != undefined || !IsSerialNumberNamed (port.serialNumber, device)) &&
+                 (device.serialNumber == undefined || port.serialNumber.toUpperCase() == String (device.serialNumber).toUpperCase()) &&
+                 (device.vendorId     == undefined || port.vendorId  == NormalizeUsbId (device.vendorId))  &&
+                 (device.productId    == undefined || port.productId == NormalizeUsbId (device.productId));
+        });
+      }
+
+      callback (matchingPort == undefined ? undefined : matchingPort.portName);
+    });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+    callback (undefined);
+  }
+}
+
+//--- IsPortClaimed ---------------------------------------
+
+function IsPortClaimed (portName, device)
+{
+  // True if another device has the port open, or is opening it
+  return MCUPorts.some (function (other)
+  {
+    return other != device && other.serialPort != undefined && other.serialPort.path == portName &&
+           (IsDeviceOpen (other) || other.reconnectTimer == undefined);
+  });
+}
+
+//--- IsSerialNumberNamed ---------------------------------
+
+function IsSerialNumberNamed (serialNumber, device)
+{
+  // True if another device's config asks for the board with this serial number
+  return serialNumber != '' && MCUPorts.some (function (other)
+  {
+    return other != device && other.serialNumber != undefined && IsSerialDevice (other) &&
+           String (other.serialNumber).toUpperCase () == serialNumber.toUpperCase ();
+  });
+}
+
+//--- ListSerialPorts -------------------------------------
+
+function ListSerialPorts (callback)
+{
+  try
+  {
+    Node_SerialPort.list (function (error, ports)
+    {
+      if (error)
+      {
+        callback (error);
+        return;
+      }
+
+      // Report every port the same way regardless of OS
+      callback (undefined, ports.map (function (port)
+      {
+        return { portName     : port.comName,
+                 manufacturer : port.manufacturer || '',
+                 serialNumber : port.serialNumber || '',
+                 vendorId     : NormalizeUsbId (port.vendorId),
+                 productId    : NormalizeUsbId (port.productId) };
+      }));
+    });
+  }
+  catch (ex)
+  {
+    callback (ex);
+  }
+}
+
+//--- NormalizeUsbId --------------------------------------
+
+function NormalizeUsbId (usbId)
+{
+  // USB vendor/product IDs are reported as '0x2341' on some systems
+  // and '2341' on others:  use 4 lower case hex digits
+  if (usbId == undefined || usbId === '')
+    return '';
+
+  return usbId.toString().toLowerCase().replace (/^0x/, '').padLeft ('0', 4);
+}
+
+//--- IsUsbId ---------------------------------------------
+
+function IsUsbId (usbId)
+{
+  // Up to 4 hex digits, with or without 0x
+  return typeof usbId == 'string' && /^(0x)?[0-9A-Fa-f]{1,4}$/.test (usbId);
+}
+
+//--- IsSerialDevice --------------------------------------
+
+function IsSerialDevice (device)
+{
+  return (device.transport == undefined || device.transport == 'serial');
+}
+
+//--- IsDeviceOpen ----------------------------------------
+
+function IsDeviceOpen (device)
+{
+  return device.serialPort != undefined && device.serialPort.isOpen ();
+}
+
+//--- ScheduleReconnect -----------------------------------
+
+function ScheduleReconnect (device)
+{
+  try
+  {
+    // Already retrying, shutting down or no longer configured?
+    if (device.reconnectTimer != undefined || ShuttingDown || MCUPorts.indexOf (device) < 0)
+      return;
+
+    SetDeviceStatus (device, 'retrying');
+
+    device.reconnectTimer = setTimeout (function ()
+    {
+      device.reconnectTimer = undefined;
+
+      if (!IsDeviceOpen (device))
+      {
+        device.stats.reconnects++;
+        OpenDevice (device);
+      }
+    },
+    device.retryDelay);
+
+    // Back off until the device comes back
+    device.retryDelay = Math.min (device.retryDelay * 2, ReconnectMaxDelay);
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- SetDeviceStatus -------------------------------------
+
+function SetDeviceStatus (device, status)
+{
+  try
+  {
+    // Tell all clients when a device changes state:  DeviceStatus|id|status
+    if (device.status == status)
+      return;
+
+    device.status = status;
+    RecordTraffic ('status', device, status);
+
+    // A device that is not open will not answer, nor take what is waiting
+    if (status != 'open')
+    {
+      FailQueries    (device, 'Device ' + device.deviceName + ' is ' + status);
+      ClearWriteQueue (device, true);
+      StopJob        (device, 'failed', 'device is ' + status);
+    }
+
+    // Removed devices have no ID to report
+    var deviceID = MCUPorts.indexOf (device);
+    if (deviceID >= 0)
+      PostEvent ('DeviceStatus', { device : deviceID, status : status }, 'DeviceStatus|' + deviceID.toString() + '|' + status);
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- WriteToDevice ---------------------------------------
+
+function WriteToDevice (device, message, request)
+{
+  try
+  {
+    // Write a firmware message to a device, if it is open
+    if (!IsDeviceOpen (device))
+    {
+      PostError (request, 'DeviceNotOpen', 'Device ' + MCUPorts.indexOf (device).toString() + ' (' + device.deviceName + ') is not open');
+      return false;
+    }
+
+    // A job's lines are the only messages, or its acks would be mixed up.
+    // Paused too:  the answer to a message sent then could be taken for a line's.
+    if (device.job != undefined && request != device.job.request)
+    {
+      PostError (request, 'JobRunning', 'Device ' + MCUPorts.indexOf (device).toString() + ' (' + device.deviceName + ') is ' +
+                                        (device.job.state == 'paused' ? 'paused in ' : 'running ') + device.job.path + ', abort it first');
+      return false;
+    }
+
+    // No motion after an automatic E-STOP until re-armed
+    if (IsMotionRefused (device, message))
+    {
+      PostError (request, 'SafetyTripped', 'Refused: safety stop is active, send Arm| to re-arm');
+      return false;
+    }
+
+    if (!WriteFrame (device, message, false))
+    {
+      PostError (request, 'QueueFull', 'Device ' + MCUPorts.indexOf (device).toString() + ' (' + device.deviceName + ') is busy: ' +
+                                       device.writeQueue.normal.length.toString() + ' messages waiting');
+      return false;
+    }
+
+    return true;
+  }
+  catch (ex)
+  {
+    PostError (request, 'BadParameter', 'Unable to send to device ' + MCUPorts.indexOf (device).toString() + ': ' + ex.message);
+    return false;
+  }
+}
+
+//--- WriteFrame ------------------------------------------
+
+function WriteFrame (device, message, priority)
+{
+  // Encode and frame a client message for the device (throws if it can't),
+  // and queue it.  Returns false if the queue is full.
+  return QueueWrite (device, message, Framing.EncodeFrame (device, Framing.TextToBytes (device, message)), priority);
+}
+
+//--- CloseSerialPorts ------------------------------------
+
+function CloseSerialPorts ()
+{
+  try
+  {
+    // Stop reconnecting and close all serial ports
+    ShuttingDown = true;
+
+    MCUPorts.forEach (function (device)
+    {
+      clearTimeout (device.reconnectTimer);
+
+      if (device.serialPort != undefined)
+      {
+        if (device.serialPort.isOpen ())
+        {
+          device.serialPort.close ();
+          PostMessage (device.serialPort.path + ' closed', false, 'serial');
+        }
+      }
+    });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+
+  // Finish writing the log and a session being recorded first
+  Log.Close (function ()
+  {
+    if (Recording != undefined)
+      Recording.stream.end (function () { process.exit (); });
+    else
+      process.exit ();
+  });
+}
+
+
+//-----------------------------------------------------------------------------
+//  Write Queue
+//
+//  Each device has its own queue of framed messages waiting to be written.
+//  Only one write is in progress at a time:  the next message is written
+//  when the port has drained the last one, and no sooner than the device's
+//  "writeInterval" ms after it.  So a fast UI slider cannot overrun a slow
+//  board's input buffer.
+//
+//    ∙ Broadcast messages and safety stop messages go in the priority lane,
+//      written before anything else waiting and without the interval wait.
+//    ∙ A device's "stopMessage" drops all other messages waiting for it.
+//    ∙ A message matching one of the device's "coalesce" patterns replaces
+//      a waiting message with the same match, e.g. with "^SERVO \\d+ ",
+//      'SERVO 1 95' replaces 'SERVO 1 90' but not 'SERVO 2 40'.
+//    ∙ If "maxQueue" (DefaultMaxQueue) messages are waiting, a new one is
+//      refused with a QueueFull error.
+//-----------------------------------------------------------------------------
+
+//--- NewWriteQueue ---------------------------------------
+
+function NewWriteQueue ()
+{
+  return { priority  : [],         // {message, data}, written first
+           normal    : [],
+           writing   : false,      // a write is in progress
+           lastWrite : 0,          // time the last write finished
+           timer     : undefined };  // waiting out "writeInterval"
+}
+
+//--- QueueWrite ------------------------------------------
+
+function QueueWrite (device, message, data, priority)
+{
+  var queue = device.writeQueue;
+  var entry = { message : message, data : data };
+
+  if (priority)
+  {
+    if (message == device.stopMessage)
+      ClearWriteQueue (device, false);
+
+    queue.priority.push (entry);
+  }
+  else
+  {
+    // Replace a waiting message with the same coalesce match
+    var key = CoalesceKey (device, message);
+    var waiting = (key == undefined ? -1 : queue.normal.findIndex (function (queued)
+    {
+      return CoalesceKey (device, queued.message) == key;
+    }));
+
+    if (waiting >= 0)
+      queue.normal[waiting] = entry;
+    else if (queue.normal.length >= (device.maxQueue || DefaultMaxQueue))
+      return false;
+    else
+      queue.normal.push (entry);
+  }
+
+  WriteNext (device);
+  return true;
+}
+
+//--- CoalesceKey -----------------------------------------
+
+function CoalesceKey (device, message)
+{
+  // The first "coalesce" match of a message, or undefined
+  var patterns = device.coalesce || [];
+
+  for (var i=0; i<patterns.length; i++)
+  {
+    var match = new RegExp (patterns[i]).exec (message);
+    if (match != null)
+      return i.toString() + ':' + match[0];
+  }
+
+  return undefined;
+}
+
+//--- WriteNext -------------------------------------------
+
+function WriteNext (device)
+{
+  try
+  {
+    var queue = device.writeQueue;
+    var entry;
+
+    if (queue.writing || !IsDeviceOpen (device))
+      return;
+
+    if (queue.priority.length > 0)
+    {
+      // Stop messages don't wait
+      clearTimeout (queue.timer);
+      queue.timer = undefined;
+      entry = queue.priority.shift ();
+    }
+    else if (queue.normal.length > 0 && queue.timer == undefined)
+    {
+      var wait = queue.lastWrite + (device.writeInterval || 0) - Date.now ();
+      if (wait > 0)
+      {
+        queue.timer = setTimeout (function ()
+        {
+          queue.timer = undefined;
+          WriteNext (device);
+        },
+        wait);
+        return;
+      }
+
+      entry = queue.normal.shift ();
+    }
+    else
+      return;
+
+    var serialPort = device.serialPort;
+
+    RecordTraffic ('out', device, entry.message);
+
+    queue.writing = true;
+    serialPort.write (entry.data, function (error)
+    {
+      if (error)
+      {
+        device.stats.writeErrors++;
+        PostMessage ('Unable to write ' + entry.message + ' to ' + device.deviceName + ': ' + error.message, false, 'serial', 'error');
+      }
+      else
+      {
+        device.stats.linesOut++;
+        device.stats.bytesOut += entry.data.length;
+      }
+
+      // Wait until the port has actually sent it
+      serialPort.drain (function ()
+      {
+        queue.writing   = false;
+        queue.lastWrite = Date.now ();
+
+        // (The queue is replaced when the device closes)
+        if (device.writeQueue == queue)
+          WriteNext (device);
+      });
+    });
+  }
+  catch (ex)
+  {
+    device.writeQueue.writing = false;
+    ShowException (ex);
+  }
+}
+
+//--- ClearWriteQueue -------------------------------------
+
+function ClearWriteQueue (device, all)
+{
+  // Drop the normal messages waiting, or <all> of them with a fresh queue
+  var queue   = device.writeQueue;
+  var dropped = queue.normal.length + (all ? queue.priority.length : 0);
+
+  if (all)
+  {
+    clearTimeout (queue.timer);
+    device.writeQueue = NewWriteQueue ();
+  }
+  else
+    queue.normal = [];
+
+  if (dropped > 0)
+    PostMessage (dropped.toString() + ' waiting message(s) for ' + device.deviceName + ' dropped', false, 'serial', 'warn');
+}
+
+//--- CheckWriteQueueConfig -------------------------------
+
+function CheckWriteQueueConfig (device)
+{
+  // Returns a description of what is wrong with a device's queue settings, or ''
+  if (device.writeInterval != undefined && !(device.writeInterval >= 0))
+    return '"writeInterval" must be a number of ms';
+
+  if (device.maxQueue != undefined && !(device.maxQueue >= 1))
+    return '"maxQueue" must be a number of messages';
+
+  if (device.coalesce != undefined)
+  {
+    if (!Array.isArray (device.coalesce))
+      return '"coalesce" must be an array of regular expression strings';
+
+    for (var i=0; i<device.coalesce.length; i++)
+    {
+      try
+      {
+        new RegExp (device.coalesce[i]);
+      }
+      catch (exRE)
+      {
+        return '"coalesce[' + i.toString() + ']": ' + exRE.message;
+      }
+    }
+  }
+
+  return '';
+}
+
+
+//-----------------------------------------------------------------------------
+//  Device Management
+//
+//  Devices may be added, removed and reconfigured while the server runs.
+//  Device IDs are positions in the MCUPorts array, so removing a device
+//  shifts the IDs of the devices after it.  After any change the new
+//  device list is sent to all clients.
+//-----------------------------------------------------------------------------
+
+//--- AddDevice -------------------------------------------
+
+function AddDevice (deviceConfigJson, request)
+{
+  try
+  {
+    var device;
+
+    try
+    {
+      device = JSON.parse (deviceConfigJson);
+    }
+    catch (exJSON)
+    {
+      PostError (request, 'BadConfig', 'Bad device config: ' + exJSON.message);
+      return;
+    }
+
+    var configError = CheckDeviceConfig (device);
+    if (configError != '')
+    {
+      PostError (request, 'BadConfig', 'Bad device config: ' + configError);
+      return;
+    }
+
+    // A responder module is run, and a replay file read, by the server:
+    // never from a path a client chose (it could have uploaded the file)
+    var serverOnlyKey = VirtualPort.ServerOnlyKeys.find (function (key) { return device[key] != undefined; });
+    if (serverOnlyKey != undefined)
+    {
+      PostError (request, 'BadConfig', 'Bad device config: "' + serverOnlyKey + '" can only be set in ' + PortConfigsFile);
+      return;
+    }
+
+    // Add the device and start opening its port
+    InitDevice (device);
+    MCUPorts.push (device);
+    OpenDevice (device);
+
+    PostReply (request, 'DeviceAdded', { device : MCUPorts.length - 1 }, 'Device ' + (MCUPorts.length - 1).toString() + ' added: ' + device.deviceName);
+    SendDeviceList ();
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+    PostError (request, 'BadConfig', 'Unable to add device: ' + ex.message);
+  }
+}
+
+//--- RemoveDevice ----------------------------------------
+
+function RemoveDevice (deviceID, request)
+{
+  try
+  {
+    var device = MCUPorts[deviceID];
+
+    // Remove first so the closing port does not try to reconnect
+    MCUPorts.splice (deviceID, 1);
+    CloseDevice (device);
+
+    PostReply (request, 'DeviceRemoved', { device : deviceID }, 'Device ' + deviceID.toString() + ' removed: ' + device.deviceName);
+    SendDeviceList ();
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- SetPortSettings -------------------------------------
+
+function SetPortSettings (deviceID, portSettings, request)
+{
+  try
+  {
+    var device      = MCUPorts[deviceID];
+    var oldSettings = device.portSettings;
+
+    device.portSettings = portSettings;
+
+    var configError = CheckDeviceConfig (device);
+    if (configError != '')
+    {
+      device.portSettings = oldSettings;
+      PostError (request, 'BadConfig', 'Bad port settings: ' + configError);
+      return;
+    }
+
+    // Reopen the port with the new settings
+    CloseDevice (device, function ()
+    {
+      device.retryDelay = ReconnectMinDelay;
+      OpenDevice (device);
+    });
+
+    PostReply (request, 'PortSettingsSet', { device : deviceID, portSettings : portSettings }, 'Device ' + deviceID.toString() + ' port settings set to ' + portSettings);
+    SendDeviceList ();
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- CloseDevice -----------------------------------------
+
+function CloseDevice (device, callback)
+{
+  try
+  {
+    var serialPort = device.serialPort;
+
+    // Stop reconnecting and forget the serial port
+    clearTimeout (device.reconnectTimer);
+    device.reconnectTimer = undefined;
+    device.serialPort     = undefined;
+    SetDeviceStatus (device, 'closed');
+
+    if (serialPort != undefined)
+    {
+      serialPort.removeAllListeners ();
+      serialPort.on ('error', function () {});  // ignore errors while closing
+
+      // (A tcp-server device listens even while no board is connected)
+      if (serialPort.isOpen () || !IsSerialDevice (device))
+      {
+        serialPort.close (function ()
+        {
+          PostMessage (serialPort.path + ' closed', false, 'serial');
+
+          if (callback)
+            callback ();
+        });
+        return;
+      }
+    }
+
+    if (callback)
+      callback ();
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- CheckDeviceConfig -----------------------------------
+
+function CheckDeviceConfig (device)
+{
+  // Returns a description of what is wrong with a device config, or ''
+  if (typeof device != 'object' || device == null || Array.isArray (device))
+    return 'device config must be a JSON object';
+
+  if (typeof device.deviceName != 'string' || device.deviceName == '')
+    return '"deviceName" is required';
+
+  if (device.stopMessage != undefined && typeof device.stopMessage != 'string')
+    return '"stopMessage" must be a string';
+
+  var patternKeys = ['motionPattern', 'jobAck', 'jobError'];
+  for (var i=0; i<patternKeys.length; i++)
+  {
+    try
+    {
+      if (device[patternKeys[i]] != undefined)
+        new RegExp (device[patternKeys[i]]);
+    }
+    catch (exRE)
+    {
+      return '"' + patternKeys[i] + '": ' + exRE.message;
+    }
+  }
+
+  var queueError = CheckWriteQueueConfig (device);
+  if (queueError != '')
+    return queueError;
+
+  var telemetryError = CheckTelemetryConfig (device);
+  if (telemetryError != '')
+    return telemetryError;
+
+  if (!IsSerialDevice (device) && !NetworkPort.IsNetworkDevice (device) && !VirtualPort.IsVirtualDevice (device))
+    return '"transport" must be one of serial, ' + NetworkPort.NetworkTransports.join (', ') + ', virtual';
+
+  // Network and virtual devices have no serial port settings
+  if (NetworkPort.IsNetworkDevice (device) || VirtualPort.IsVirtualDevice (device))
+  {
+    var transportError = (NetworkPort.IsNetworkDevice (device) ? NetworkPort.CheckNetworkConfig (device) : VirtualPort.CheckVirtualConfig (device));
+    return (transportError != '' ? transportError : Framing.CheckFraming (device));
+  }
+
+  if (device.portName == undefined && device.serialNumber == undefined && device.vendorId == undefined && device.productId == undefined)
+    return '"portName" or a USB identity ("serialNumber", "vendorId", "productId") is required';
+
+  if (device.portName != undefined && (typeof device.portName != 'string' || device.portName == ''))
+    return '"portName" must be the name of a serial port, e.g. "COM5"';
+
+  if (device.serialNumber != undefined && (typeof device.serialNumber != 'string' || device.serialNumber == ''))
+    return '"serialNumber" must be a string, e.g. "75533353038351F0E1A1"';
+
+  if (device.vendorId != undefined && !IsUsbId (device.vendorId))
+    return '"vendorId" must be a hex string, e.g. "2341"';
+
+  if (device.productId != undefined && !IsUsbId (device.productId))
+    return '"productId" must be a hex string, e.g. "0043"';
+
+  var settingsError = CheckPortSettings (device.portSettings);
+  if (settingsError != '')
+    return settingsError;
+
+  return Framing.CheckFraming (device);
+}
+
+//--- CheckPortSettings -----------------------------------
+
+function CheckPortSettings (portSettings)
+{
+  // Returns what is wrong with "baud|dataBits|stopBits|parity", or ''
+  var settings = (typeof portSettings == 'string' ? portSettings.split ('|') : []);
+
+  if (settings.length != 4)
+    return '"portSettings" must be "baud|dataBits|stopBits|parity"';
+
+  if (!/^\d+$/.test (settings[0]) || !(parseInt (settings[0]) > 0))
+    return '"portSettings" baud rate must be a number, e.g. 57600';
+
+  if (['5', '6', '7', '8'].indexOf (settings[1]) < 0)
+    return '"portSettings" data bits must be 5, 6, 7 or 8';
+
+  if (['1', '1.5', '2'].indexOf (settings[2]) < 0)
+    return '"portSettings" stop bits must be 1, 1.5 or 2';
+
+  if (['none', 'even', 'odd', 'mark', 'space'].indexOf (settings[3]) < 0)
+    return '"portSettings" parity must be none, even, odd, mark or space';
+
+  return '';
+}
+
+//--- GetDeviceConfig -------------------------------------
+
+function GetDeviceConfig (device)
+{
+  // Copy of a device's config without its runtime fields
+  var deviceConfig = {};
+
+  Object.keys (device).forEach (function (key)
+  {
+    if (DeviceRuntimeKeys.indexOf (key) < 0)
+      deviceConfig[key] = device[key];
+  });
+
+  // Keep the documented placeholder in the config file
+  deviceConfig.serialPort = 'undefined';
+
+  return deviceConfig;
+}
+
+//--- SendDeviceList --------------------------------------
+
+function SendDeviceList (request)
+{
+  // Reply to <request>, or tell all clients if there is no request
+  try
+  {
+    // Devices|[{id, deviceName, portName, ..., status}, ...]
+    var deviceList = MCUPorts.map (function (device, deviceID)
+    {
+      var deviceInfo = GetDeviceConfig (device);
+
+      delete deviceInfo.serialPort;
+      deviceInfo.id     = deviceID;
+      deviceInfo.status = device.status;
+
+      return deviceInfo;
+    });
+
+    if (request == undefined)
+      PostEvent ('Devices', deviceList, 'Devices|' + JSON.stringify (deviceList));
+    else
+      PostReply (request, 'Devices', deviceList, 'Devices|' + JSON.stringify (deviceList));
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- SaveDeviceConfigs -----------------------------------
+
+function SaveDeviceConfigs (request)
+{
+  try
+  {
+    // Write the current devices back to [portConfigs.json]
+    var portConfigs = JSON.stringify (MCUPorts.map (GetDeviceConfig), null, 2);
+
+    FileSystem.writeFile (PortConfigsFile, portConfigs + '\n', function (error)
+    {
+      if (error)
+        PostError (request, 'FileError', 'Error saving port configs: ' + error.message);
+      else
+        PostReply (request, 'DevicesSaved', { file : PortConfigsFile }, 'Port configs saved to ' + PortConfigsFile);
+    });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+
+//-----------------------------------------------------------------------------
+//  Safety Watchdog
+//
+//  A client that moves the machine sends Arm|timeout and then Heartbeat| at
+//  least every <timeout> ms (HeartbeatTimeout if empty).  If that client disconnects or its heartbeats
+//  stop, the watchdog trips:
+//
+//    ∙ each device's "stopMessage" (from 'portConfigs.json') is sent to it
+//    ∙ Safety|tripped|reason is sent to all clients
+//    ∙ device messages are refused until a client sends Arm| again.  Only
+//      messages matching a device's "motionPattern" are refused, or all
+//      messages if it has none.  Its "stopMessage" is always allowed.
+//
+//  EStop| trips it at once, armed or not, from any client with the viewer role
+//  and whoever is in control.  Devices with no "stopMessage" still have their
+//  job stopped, their waiting messages dropped and motion refused.
+//
+//  Disarm| stops the watchdog without tripping it.  Only the client that armed
+//  it, the client in control or an admin may disarm it.
+//-----------------------------------------------------------------------------
+
+//--- ArmSafety -------------------------------------------
+
+function ArmSafety (timeout, request)
+{
+  try
+  {
+    var wasTripped = (SafetyState == 'tripped');
+
+    if (timeout != undefined && timeout !== '' && !(parseInt (timeout) > 0))
+    {
+      PostError (request, 'BadParameter', 'Bad heartbeat timeout: ' + timeout);
+      return;
+    }
+
+    ArmedTimeout = (parseInt (timeout) > 0 ? parseInt (timeout) : HeartbeatTimeout);
+
+    // The arming client is the one watched
+    SafetyClient = request.client;
+    SetSafetyState ('armed', (wasTripped ? 're-armed' : 'armed') + ' by ' + (SafetyClient ? SafetyClient.address : 'server'));
+    ResetHeartbeatTimer ();
+
+    PostAck (request);
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- DisarmSafety ----------------------------------------
+
+function DisarmSafety (request)
+{
+  try
+  {
+    if (SafetyState == 'tripped')
+    {
+      PostError (request, 'SafetyTripped', 'Safety stop is active, send Arm| to re-arm');
+      return;
+    }
+
+    // Only the watched client, the controller or an admin may stop the watchdog
+    if (SafetyState == 'armed' && request.client != SafetyClient && !HasRole (request.client, 'admin') &&
+        !(Controller != undefined && Controller.client == request.client))
+    {
+      PostError (request, 'NotAuthorized', 'Not authorized: only the client that armed the watchdog, the controller or an admin may disarm it');
+      return;
+    }
+
+    clearTimeout (HeartbeatTimer);
+    HeartbeatTimer = undefined;
+    SafetyClient   = undefined;
+    SetSafetyState ('disarmed', 'disarmed by ' + (request.client ? request.client.address : 'server'));
+
+    PostAck (request);
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- SafetyHeartbeat -------------------------------------
+
+function SafetyHeartbeat (request)
+{
+  // Only the watched client's heartbeats count
+  if (SafetyState == 'armed' && request.client == SafetyClient)
+    ResetHeartbeatTimer ();
+
+  PostAck (request);
+}
+
+//--- ResetHeartbeatTimer ---------------------------------
+
+function ResetHeartbeatTimer ()
+{
+  clearTimeout (HeartbeatTimer);
+
+  HeartbeatTimer = setTimeout (function ()
+  {
+    HeartbeatTimer = undefined;
+    TripSafety ('no heartbeat from ' + (SafetyClient ? SafetyClient.address : 'client') + ' for ' + ArmedTimeout.toString() + ' ms');
+  },
+  ArmedTimeout);
+}
+
+//--- SafetyClientLost ------------------------------------
+
+function SafetyClientLost (client)
+{
+  if (SafetyState == 'armed' && client == SafetyClient)
+    TripSafety ('controlling client ' + client.address + ' disconnected');
+}
+
+//--- TripSafety ------------------------------------------
+
+function TripSafety (reason)
+{
+  try
+  {
+    clearTimeout (HeartbeatTimer);
+    HeartbeatTimer = undefined;
+    SafetyClient   = undefined;
+
+    // Stop everything first, tell everyone after
+    MCUPorts.forEach (function (device)
+    {
+      try
+      {
+        StopJob (device, 'failed', 'safety stop');
+        ClearWriteQueue (device, false);
+
+        if (device.stopMessage != undefined && IsDeviceOpen (device))
+          WriteFrame (device, device.stopMessage, true);
+      }
+      catch (exWrite)
+      {
+        PostMessage ('Unable to send stop message to ' + device.deviceName + ': ' + exWrite.message, false, 'serial', 'error');
+      }
+    });
+
+    SetSafetyState ('tripped', reason);
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- SetSafetyState --------------------------------------
+
+function SetSafetyState (state, reason)
+{
+  SafetyState = state;
+
+  PostMessage ('███ Safety ' + state + ': ' + reason, false, 'safety', (state == 'tripped' ? 'warn' : 'info'));
+  PostEvent ('Safety', { state : state, reason : reason }, 'Safety|' + state + '|' + reason);
+}
+
+//--- IsMotionRefused -------------------------------------
+
+function IsMotionRefused (device, message)
+{
+  if (SafetyState != 'tripped' || message == device.stopMessage)
+    return false;
+
+  return (device.motionPattern == undefined || new RegExp (device.motionPattern).test (message));
+}
+
+
+//-----------------------------------------------------------------------------
+//  Firmware Queries
+//
+//  Query|id|timeout|pattern|message sends <message> to device <id> and replies
+//  with the first firmware line that matches <pattern> (a regular expression),
+//  or simply the next line if <pattern> is empty:
+//
+//    Query|0||^POS |GETPOS  ->  QueryReply|0|POS 123 456
+//
+//  If no answer comes within <timeout> ms (QueryTimeout if empty) the reply is
+//  an error.  The answer is still sent to all clients as id|message as well.
+//
+//  The legacy <pattern> can not hold a '|' (the message follows it), so a
+//  pattern with alternatives (e.g. "^(OK|DONE)") must be sent as JSON:
+//
+//    { "v": 1, "type": "Query", "id": "q1", "device": 0, "payload": { "pattern": "^(OK|DONE)", "message": "HOME" } }
+//-----------------------------------------------------------------------------
+
+//--- SendQuery -------------------------------------------
+
+function SendQuery (deviceID, timeout, pattern, message, request)
+{
+  try
+  {
+    var device = MCUPorts[deviceID];
+    var query  = { request : request,
+                   pattern : undefined,
+                   timer   : undefined };
+
+    try
+    {
+      if (pattern != undefined && pattern != '')
+        query.pattern = new RegExp (pattern);
+    }
+    catch (exRE)
+    {
+      PostError (request, 'BadParameter', 'Bad query pattern: ' + exRE.message);
+      return;
+    }
+
+    if (isNaN (timeout) || timeout <= 0)
+      timeout = QueryTimeout;
+
+    // Waiting before it is written, as a (virtual) device may answer at once
+    device.queries.push (query);
+
+    query.timer = setTimeout (function ()
+    {
+      var queryIndex = device.queries.indexOf (query);
+      if (queryIndex >= 0)
+      {
+        device.queries.splice (queryIndex, 1);
+        PostError (request, 'QueryTimeout', 'Query timeout: device ' + MCUPorts.indexOf (device).toString() + ' did not answer ' + message + ' in ' + timeout.toString() + ' ms');
+      }
+    },
+    timeout);
+
+    if (!WriteToDevice (device, message, request))
+    {
+      var waitingIndex = device.queries.indexOf (query);
+      if (waitingIndex >= 0)
+        device.queries.splice (waitingIndex, 1);
+
+      clearTimeout (query.timer);
+    }
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- AnswerQuery -----------------------------------------
+
+function AnswerQuery (device, firmwareMessage)
+{
+  try
+  {
+    // The oldest waiting query that matches gets the answer
+    for (var i=0; i<device.queries.length; i++)
+    {
+      var query = device.queries[i];
+
+      if (query.pattern == undefined || query.pattern.test (firmwareMessage))
+      {
+        var deviceID = MCUPorts.indexOf (device);
+
+        clearTimeout (query.timer);
+        device.queries.splice (i, 1);
+
+        PostReply (query.request, 'QueryReply', { device : deviceID, message : firmwareMessage }, 'QueryReply|' + deviceID.toString() + '|' + firmwareMessage);
+        return;
+      }
+    }
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- FailQueries -----------------------------------------
+
+function FailQueries (device, reason)
+{
+  try
+  {
+    var queries = device.queries || [];
+
+    device.queries = [];
+    queries.forEach (function (query)
+    {
+      clearTimeout (query.timer);
+      PostError (query.request, 'DeviceNotOpen', 'Query failed: ' + reason);
+    });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+
+//-----------------------------------------------------------------------------
+//  Jobs
+//
+//  JobStart|id|path|ack runs a program file (e.g. G-code), uploaded under the
+//  NodeBot_Client folder, on device <id> without the client's help.  Each
+//  non-blank line is sent after the firmware has answered the last one with
+//  a message matching <ack>, or the device's "jobAck" ("^ok" by default):
+//
+//    JobStart|0|programs/part.nc|^ok
+//
+//  The <ack> is the rest of the message, so it may hold a '|', e.g. ^(ok|done).
+//
+//  All clients are told of the job's progress (at most every ProgressInterval
+//  ms) and when it ends:
+//
+//    JobProgress|0|running|120|4800|programs/part.nc|
+//    JobProgress|0|failed|121|4800|programs/part.nc|firmware answered error:22
+//
+//  A device runs one job at a time.  While it runs or is paused, other
+//  messages to the device are refused (so their answers aren't taken as
+//  acks), except Broadcast.  The job fails if the device closes, the safety watchdog trips,
+//  or the firmware answers a line with the device's "jobError".
+//-----------------------------------------------------------------------------
+
+//--- StartJob --------------------------------------------
+
+function StartJob (deviceID, clientPath, ackPattern, request)
+{
+  try
+  {
+    var device  = MCUPorts[deviceID];
+    var jobPath = ResolveClientPath (clientPath);
+    var ack, error;
+
+    if (device.job != undefined)
+    {
+      PostError (request, 'JobRunning', 'Device ' + deviceID.toString() + ' (' + device.deviceName + ') is already running ' + device.job.path);
+      return;
+    }
+
+    if (jobPath == undefined)
+    {
+      PostError (request, 'AccessDenied', AccessDeniedMessage (clientPath));
+      return;
+    }
+
+    try
+    {
+      ack   = new RegExp (ackPattern || device.jobAck || DefaultJobAck);
+      error = (device.jobError ? new RegExp (device.jobError) : undefined);
+    }
+    catch (exRE)
+    {
+      PostError (request, 'BadParameter', 'Bad job ack pattern: ' + exRE.message);
+      return;
+    }
+
+    FileSystem.readFile (jobPath, function (readError, fileData)
+    {
+      if (readError)
+      {
+        PostError (request, 'FileError', 'Error reading job file: ' + readError.message);
+        return;
+      }
+
+      // (Another job may have started while reading)
+      if (device.job != undefined)
+      {
+        PostError (request, 'JobRunning', 'Device ' + MCUPorts.indexOf (device).toString() + ' (' + device.deviceName + ') is already running ' + device.job.path);
+        return;
+      }
+
+      // Blank lines are skipped
+      var lines = fileData.toString().split (/\r?\n/).map (function (line) { return line.trim (); });
+
+      device.job = { path         : clientPath,
+                     lines        : lines.filter (function (line) { return line != ''; }),
+                     line         : 0,          // lines sent
+                     state        : 'running',
+                     waiting      : false,      // for the firmware's answer to the last line sent
+                     ack          : ack,
+                     error        : error,
+                     reason       : '',
+                     lastProgress : 0,
+                     request      : request };  // the job's own messages are sent with this request
+
+      PostAck (request);
+      SendJobLine (device);
+    });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- SendJobLine -----------------------------------------
+
+function SendJobLine (device)
+{
+  try
+  {
+    var job = device.job;
+
+    if (job == undefined || job.state != 'running' || job.waiting)
+      return;
+
+    if (job.line >= job.lines.length)
+    {
+      StopJob (device, 'done', '');
+      return;
+    }
+
+    // Before writing, as a virtual device may answer before WriteToDevice returns
+    job.line++;
+    job.waiting = true;
+
+    if (!WriteToDevice (device, job.lines[job.line - 1], job.request))
+    {
+      job.waiting = false;
+      StopJob (device, 'failed', 'unable to send line ' + job.line.toString());
+      return;
+    }
+
+    PostJobProgress (device, false);
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- AnswerJob -------------------------------------------
+
+function AnswerJob (device, firmwareMessage)
+{
+  try
+  {
+    var job = device.job;
+
+    if (job == undefined || !job.waiting)
+      return;
+
+    if (job.error != undefined && job.error.test (firmwareMessage))
+    {
+      job.waiting = false;
+      StopJob (device, 'failed', 'firmware answered ' + firmwareMessage);
+    }
+    else if (job.ack.test (firmwareMessage))
+    {
+      job.waiting = false;
+      SendJobLine (device);
+    }
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- PauseJob / ResumeJob / AbortJob ---------------------
+
+function PauseJob (deviceID, request)
+{
+  var device = MCUPorts[deviceID];
+
+  if (device.job == undefined || device.job.state != 'running')
+  {
+    PostError (request, 'BadCommand', 'Device ' + deviceID.toString() + ' has no running job');
+    return;
+  }
+
+  // The line already sent still finishes
+  device.job.state = 'paused';
+  PostAck (request);
+  PostJobProgress (device, true);
+}
+
+function ResumeJob (deviceID, request)
+{
+  var device = MCUPorts[deviceID];
+
+  if (device.job == undefined || device.job.state != 'paused')
+  {
+    PostError (request, 'BadCommand', 'Device ' + deviceID.toString() + ' has no paused job');
+    return;
+  }
+
+  device.job.state = 'running';
+  PostAck (request);
+  PostJobProgress (device, true);
+  SendJobLine (device);
+}
+
+function AbortJob (deviceID, request)
+{
+  var device = MCUPorts[deviceID];
+
+  if (device.job == undefined)
+  {
+    PostError (request, 'BadCommand', 'Device ' + deviceID.toString() + ' has no job');
+    return;
+  }
+
+  PostAck (request);
+  StopJob (device, 'aborted', 'aborted by ' + (request.client ? request.client.address : 'server'));
+}
+
+//--- StopJob ---------------------------------------------
+
+function StopJob (device, state, reason)
+{
+  try
+  {
+    if (device.job == undefined)
+      return;
+
+    device.job.state  = state;
+    device.job.reason = reason;
+    PostJobProgress (device, true);
+
+    device.job = undefined;
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- PostJobProgress -------------------------------------
+
+function PostJobProgress (device, force)
+{
+  // Tell all clients, but not for every line
+  if (!force && Date.now () - device.job.lastProgress < ProgressInterval)
+    return;
+
+  device.job.lastProgress = Date.now ();
+
+  // Removed devices have no ID to report
+  if (MCUPorts.indexOf (device) >= 0)
+    PostEvent ('JobProgress', JobProgressPayload (device), JobProgressMessage (device));
+}
+
+//--- JobProgressPayload / JobProgressMessage -------------
+
+function JobProgressPayload (device)
+{
+  var job = device.job;
+
+  return { device : MCUPorts.indexOf (device),
+           state  : job.state,
+           line   : job.line,
+           lines  : job.lines.length,
+           path   : job.path,
+           reason : job.reason };
+}
+
+function JobProgressMessage (device)
+{
+  var job = device.job;
+
+  return 'JobProgress|' + MCUPorts.indexOf (device).toString() + '|' + job.state + '|' + job.line.toString() + '|' +
+         job.lines.length.toString() + '|' + job.path + '|' + job.reason;
+}
+
+
+//-----------------------------------------------------------------------------
+//  Telemetry
+//
+//  Each firmware message is tried against all of the device's
+//  "telemetryRules".  A rule with "fields" names the groups of its "match":
+//
+//    { "match" : "^POS (-?\\d+) (-?\\d+)", "fields" : ["x", "y"] }
+//
+//  A rule without takes every (name, value) pair that its two groups match:
+//
+//    { "match" : "(\\w+)=(-?[\\d.]+)" }      T=23.4 V=11.9 RPM=1200
+//
+//  Numeric values are kept, with the time they arrived, in a rolling
+//  history of each field ("telemetryHistory" or TelemetryHistory samples).
+//  GetTelemetry|id|field|since returns them, ExportTelemetry|id|path|since
+//  writes them to a CSV file (a row per time, a column per field) under the
+//  NodeBot_Client folder.  Times are ms since 1970 (Date.now ()).
+//-----------------------------------------------------------------------------
+
+//--- ParseTelemetry --------------------------------------
+
+function ParseTelemetry (device, firmwareMessage)
+{
+  try
+  {
+    var rules = device.telemetryRules || [];
+    var now   = Date.now ();
+    var match;
+
+    rules.forEach (function (rule)
+    {
+      if (rule.fields != undefined)
+      {
+        match = new RegExp (rule.match).exec (firmwareMessage);
+        if (match != null)
+        {
+          rule.fields.forEach (function (field, fieldIndex)
+          {
+            AddTelemetry (device, field, match[fieldIndex + 1], now);
+          });
+        }
+      }
+      else
+      {
+        var pairs = new RegExp (rule.match, 'g');
+
+        while ((match = pairs.exec (firmwareMessage)) != null)
+        {
+          AddTelemetry (device, match[1], match[2], now);
+
+          // (A pattern that matches nothing would never move on)
+          if (match[0] == '')
+            pairs.lastIndex++;
+        }
+      }
+    });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- AddTelemetry ----------------------------------------
+
+function AddTelemetry (device, field, text, time)
+{
+  var value = parseFloat (text);
+
+  if (field == undefined || field == '' || isNaN (value))
+    return;
+
+  var history = device.telemetryData[field] || (device.telemetryData[field] = []);
+
+  history.push ([time, value]);
+
+  // Keep it rolling
+  if (history.length > (device.telemetryHistory || TelemetryHistory))
+    history.shift ();
+}
+
+//--- TelemetrySince --------------------------------------
+
+function TelemetrySince (device, field, since)
+{
+  // {field: [[time, value], ...], ...} of one field (or all if none), since <since>
+  var telemetry = Object.create (null);
+  var names     = (field ? [field] : Object.keys (device.telemetryData).sort ());
+
+  names.forEach (function (name)
+  {
+    telemetry[name] = (device.telemetryData[name] || []).filter (function (sample)
+    {
+      return isNaN (since) || sample[0] >= since;
+    });
+  });
+
+  return telemetry;
+}
+
+//--- GetTelemetry ----------------------------------------
+
+function GetTelemetry (deviceID, field, since, request)
+{
+  try
+  {
+    var device = MCUPorts[deviceID];
+
+    if (field && device.telemetryData[field] == undefined)
+    {
+      PostError (request, 'BadParameter', 'Device ' + deviceID.toString() + ' has no telemetry field ' + field);
+      return;
+    }
+
+    var telemetry = TelemetrySince (device, field, since);
+
+    PostReply (request, 'Telemetry', { device : deviceID, fields : telemetry }, 'Telemetry|' + deviceID.toString() + '|' + JSON.stringify (telemetry), true);
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- ExportTelemetry -------------------------------------
+
+function ExportTelemetry (deviceID, clientPath, since, request)
+{
+  try
+  {
+    var device    = MCUPorts[deviceID];
+    var csvPath   = ResolveClientPath (clientPath);
+    var telemetry = TelemetrySince (device, undefined, since);
+    var names     = Object.keys (telemetry);
+    var rows      = {};  // values of each field, by time
+
+    if (csvPath == undefined)
+    {
+      PostError (request, 'AccessDenied', AccessDeniedMessage (clientPath));
+      return;
+    }
+
+    names.forEach (function (name, column)
+    {
+      telemetry[name].forEach (function (sample)
+      {
+        var row = rows[sample[0]] || (rows[sample[0]] = []);
+        row[column] = sample[1];
+      });
+    });
+
+    var times = Object.keys (rows).map (Number).sort (function (a, b) { return a - b; });
+    var lines = ['time,' + names.map (CsvField).join (',')];
+
+    times.forEach (function (time)
+    {
+      var row = rows[time];
+
+      lines.push (new Date (time).toISOString () + ',' + names.map (function (name, column)
+      {
+        return (row[column] == undefined ? '' : row[column].toString());
+      }).join (','));
+    });
+
+    FileSystem.writeFile (csvPath, lines.join ('\r\n') + '\r\n', function (error)
+    {
+      if (error)
+        PostError (request, 'FileError', 'Error writing telemetry file: ' + error.message);
+      else
+        PostReply (request, 'TelemetryExported', { path : clientPath, rows : times.length }, 'TelemetryExported|' + clientPath + '|' + times.length.toString());
+    });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- CsvField --------------------------------------------
+
+function CsvField (text)
+{
+  // Quote a CSV field if it needs it
+  return (/[",\r\n]/.test (text) ? '"' + text.replace (/"/g, '""') + '"' : text);
+}
+
+//--- CheckTelemetryConfig --------------------------------
+
+function CheckTelemetryConfig (device)
+{
+  // Returns a description of what is wrong with a device's telemetry settings, or ''
+  if (device.telemetryHistory != undefined && !(device.telemetryHistory >= 1))
+    return '"telemetryHistory" must be a number of samples';
+
+  if (device.telemetryRules == undefined)
+    return '';
+
+  if (!Array.isArray (device.telemetryRules))
+    return '"telemetryRules" must be an array';
+
+  for (var i=0; i<device.telemetryRules.length; i++)
+  {
+    var rule  = device.telemetryRules[i];
+    var entry = '"telemetryRules[' + i.toString() + ']';
+    var groups;
+
+    if (typeof rule != 'object' || rule == null || typeof rule.match != 'string')
+      return entry + '.match" must be a regular expression string';
+
+    try
+    {
+      // (The number of groups, from matching the empty alternative)
+      groups = new RegExp (rule.match + '|').exec ('').length - 1;
+    }
+    catch (exRE)
+    {
+      return entry + '.match": ' + exRE.message;
+    }
+
+    if (rule.fields != undefined && (!Array.isArray (rule.fields) || rule.fields.length > groups))
+      return entry + '.fields" must be an array of names, one for each group of "match"';
+
+    if (rule.fields == undefined && groups < 2)
+      return entry + '.match" needs a name and a value group, or "fields"';
+  }
+
+  return '';
+}
+
+
+//-----------------------------------------------------------------------------
+//  Traffic Recording
+//
+//  RecordStart| records everything that passes through the server to a new
+//  session file in the SessionsFolder, until RecordStop|.  Each line of the
+//  file is a JSON object:
+//
+//    {"time":"2016-10-19T14:30:02.120Z","t":2120,"type":"client","client":"::1","message":"0|GETPOS"}
+//    {"time":"2016-10-19T14:30:02.121Z","t":2121,"type":"out","device":"Robot Motor 1","message":"GETPOS"}
+//    {"time":"2016-10-19T14:30:02.140Z","t":2140,"type":"in","device":"Robot Motor 1","message":"POS 123 456"}
+//
+//  where "t" is ms since the recording started and "type" is:
+//
+//    client  - command from a client (legacy form, for JSON messages too)
+//    out     - firmware message written to a device
+//    in      - firmware message from a device
+//    status  - device status change (opening, listening, open, closed, retrying)
+//
+//  A virtual device with "replay" plays a session back, sending the "in"
+//  messages of its "replayDevice" with their recorded timing (see
+//  VirtualPort.js), so a problem can be reproduced without the board.
+//-----------------------------------------------------------------------------
+
+//--- StartRecording --------------------------------------
+
+function StartRecording (request)
+{
+  try
+  {
+    if (Recording != undefined)
+    {
+      PostError (request, 'BadCommand', 'Already recording to ' + Recording.path);
+      return;
+    }
+
+    var now  = new Date ();
+    var name = 'session-' + now.getFullYear ().toString() +
+                            (now.getMonth () + 1).toString().padLeft ('0', 2) +
+                            now.getDate ().toString().padLeft ('0', 2) + '-' +
+                            now.getHours ().toString().padLeft ('0', 2) +
+                            now.getMinutes ().toString().padLeft ('0', 2) +
+                            now.getSeconds ().toString().padLeft ('0', 2) + '.jsonl';
+
+    if (!FileSystem.existsSync (SessionsFolder))
+      FileSystem.mkdirSync (SessionsFolder);
+
+    // Reported relative to the server folder, as "replay" takes it
+    Recording = { path      : Path.relative (__dirname, Path.join (SessionsFolder, name)),
+                  stream    : FileSystem.createWriteStream (Path.join (SessionsFolder, name), { flags : 'a' }),
+                  startTime : now.getTime () };
+
+    Recording.stream.on ('error', function (error)
+    {
+      PostMessage ('Error recording session: ' + error.message, true, 'file', 'error');
+      StopRecording (undefined);
+    });
+
+    PostAck (request);
+    PostEvent ('Recording', { state : 'on', path : Recording.path }, 'Recording|on|' + Recording.path);
+
+    // Start with where the devices are
+    MCUPorts.forEach (function (device)
+    {
+      RecordTraffic ('status', device, device.status);
+    });
+  }
+  catch (ex)
+  {
+    PostError (request, 'FileError', 'Unable to start recording: ' + ex.message);
+  }
+}
+
+//--- StopRecording ---------------------------------------
+
+function StopRecording (request)
+{
+  try
+  {
+    if (Recording == undefined)
+    {
+      PostError (request, 'BadCommand', 'Not recording');
+      return;
+    }
+
+    var sessionPath = Recording.path;
+
+    Recording.stream.end ();
+    Recording = undefined;
+
+    PostAck (request);
+    PostEvent ('Recording', { state : 'off', path : sessionPath }, 'Recording|off|' + sessionPath);
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- RecordTraffic ---------------------------------------
+
+function RecordTraffic (type, source, message)
+{
+  // <source> is the device, or the client for client commands
+  if (Recording == undefined)
+    return;
+
+  try
+  {
+    var now    = new Date ();
+    var record = { time : now.toISOString (),
+                   t    : now.getTime () - Recording.startTime,
+                   type : type };
+
+    if (type == 'client')
+      record.client = (source ? source.address : 'server');
+    else
+      record.device = source.deviceName;
+
+    record.message = message;
+
+    Recording.stream.write (JSON.stringify (record) + '\n');
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+
+//-----------------------------------------------------------------------------
+//  InitServers
+//-----------------------------------------------------------------------------
+
+function InitServers (port, host)
+{
+  try
+  {
+    // Load required modules for web and socket servers
+    var express   = require ('express');
+    var botServer = express ();
+    var http      = require ('http').Server (botServer);
+    var io        = require ('socket.io')(http);
+
+    // Commands over plain HTTP (which check their own permissions)
+    InitRestApi (botServer);
+    InitMonitoring (botServer);
+
+    // Set location of website files:
+    //
+    //  (your NodeBot project folder)
+    //    │
+    //    ├── NodeBot_Client (the Web App UI)
+    //    └── NodeBot_Server (this module)
+    //
+    botServer.use (RequireHttpLogin, express.static (ClientFolder));
+
+    // Log in by the connection's credentials, if any, before it is a client
+    io.use (function (webSocket, next)
+    {
+      FindUserByAuthorization (webSocket.handshake.headers.authorization, function (user)
+      {
+        webSocket.nodeBotUser = user || FindUserByToken (webSocket.handshake.query.token);
+        next ();
+      });
+    });
+
+    // Socket event handling
+    io.on ('connection', function (webSocket)
+    {
+      // Keep track of every connected client
+      var client = { webSocket : webSocket,
+                     address   : webSocket.handshake.address,
+                     json      : false,       // true once the client sends Hello:  events in JSON
+                     uploads   : new Map (),  // chunked PutFile transfers in progress, by path
+                     downloads : new Map (),  // chunked GetFile transfers in progress, by path
+                     user      : undefined,
+                     role      : 'none',
+                     subscriptions : undefined,    // all firmware messages, see Subscriptions
+                     log       : undefined };      // live log subscription:  {level, categories}
+
+      // Logged in by the connection's credentials, if any (see io.use above)
+      SetClientUser (client, webSocket.nodeBotUser);
+
+      WebClients.push (client);
+      PostMessage ('Client connected from ' + client.address + (client.user ? ' as ' + client.user.name : '') + ' (' + WebClients.length.toString() + ' connected)', false, 'client');
+
+      // Let the new client know which devices are live, and who is in control
+      SendCurrentState (client);
+
+      // Process web app UI messages from this client
+      webSocket.on ('message', function (clientMessage)
+      {
+        ProcessClientMessage (clientMessage, client);
+      });
+
+      webSocket.on ('json', function (jsonMessage)
+      {
+        ProcessJsonMessage (jsonMessage, client);
+      });
+
+      // Forget the client when it goes away
+      webSocket.on ('disconnect', function ()
+      {
+        var clientIndex = WebClients.indexOf (client);
+        if (clientIndex >= 0)
+          WebClients.splice (clientIndex, 1);
+
+        AbortTransfers (client);
+        SafetyClientLost (client);
+        ControlClientLost (client);
+        PostMessage ('Client disconnected from ' + client.address + ' (' + WebClients.length.toString() + ' connected)', false, 'client');
+      });
+    });
+
+    // Start the web server
+    http.on ('error', function (error)
+    {
+      PostMessage ('Unable to listen on ' + (host || 'port') + ' [' + port.toString() + ']: ' + error.message, false, 'http', 'error');
+      process.exit (1);
+    });
+
+    http.listen (port, host || undefined, function ()  // NOT botServer.listen () !!!
+    {
+      var browserHost = (host == '' || host == '0.0.0.0' || host == '::' ? 'localhost' : (host.contains (':') ? '[' + host + ']' : host));
+
+      PostMessage ('NodeBot Server is listening on ' + (host || 'port') + ' [' + port.toString() + '] ... use Browser address http://' + browserHost + ':' + port.toString(), false, 'http');
+    });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+
+//-----------------------------------------------------------------------------
+//  REST API
+//
+//  Each route runs one command through ExecuteCommand, like a JSON protocol
+//  message, and answers with its (first) reply as JSON:
+//
+//    GET    /api/devices                 - GetDevices|
+//    POST   /api/devices/:id/send        - id|message         {"message": ...}
+//    POST   /api/devices/:id/query       - Query|id|...       {"message": ..., "pattern": ..., "timeout": ...}
+//    POST   /api/broadcast               - Broadcast|message  {"message": ...}
+//    GET    /api/files?path=...&ext=...  - GetFileList|path|ext  (ext '*' if not given)
+//    GET    /api/file?path=...           - GetFile|path
+//    PUT    /api/file?path=...           - PutFile|path|contents  (the request body)
+//    DELETE /api/file?path=...           - DeleteFile|path
+//
+//  POST bodies are JSON objects (or plain text for the message alone), and
+//  must hold the message, a string.  An :id that is not a number is a
+//  BadDeviceID.  A command that has not answered within HttpReplyTimeout ms
+//  (plus a Query's timeout) gets a NoReply error (HTTP status 500).
+//-----------------------------------------------------------------------------
+
+function InitRestApi (botServer)
+{
+  botServer.get ('/api/devices', function (httpRequest, httpResponse)
+  {
+    RunHttpCommand (httpRequest, httpResponse, ['GetDevices', '']);
+  });
+
+  botServer.post ('/api/devices/:id/send', function (httpRequest, httpResponse)
+  {
+    ReadRequestBody (httpRequest, httpResponse, function (body)
+    {
+      if (!HasDeviceID (httpRequest, httpResponse) || !HasBodyMessage (body, httpResponse))
+        return;
+
+      RunHttpCommand (httpRequest, httpResponse, [httpRequest.params.id, body.message]);
+    });
+  });
+
+  botServer.post ('/api/devices/:id/query', function (httpRequest, httpResponse)
+  {
+    ReadRequestBody (httpRequest, httpResponse, function (body)
+    {
+      if (!HasDeviceID (httpRequest, httpResponse) || !HasBodyMessage (body, httpResponse))
+        return;
+
+      RunHttpCommand (httpRequest, httpResponse, ['Query', httpRequest.params.id, body.timeout, body.pattern, body.message]);
+    });
+  });
+
+  botServer.post ('/api/broadcast', function (httpRequest, httpResponse)
+  {
+    ReadRequestBody (httpRequest, httpResponse, function (body)
+    {
+      if (!HasBodyMessage (body, httpResponse))
+        return;
+
+      RunHttpCommand (httpRequest, httpResponse, ['Broadcast', body.message]);
+    });
+  });
+
+  botServer.get ('/api/files', function (httpRequest, httpResponse)
+  {
+    RunHttpCommand (httpRequest, httpResponse, ['GetFileList', httpRequest.query.path || '', httpRequest.query.ext || '*']);
+  });
+
+  botServer.get ('/api/file', function (httpRequest, httpResponse)
+  {
+    RunHttpCommand (httpRequest, httpResponse, ['GetFile', httpRequest.query.path]);
+  });
+
+  botServer.put ('/api/file', function (httpRequest, httpResponse)
+  {
+    ReadRequestBody (httpRequest, httpResponse, function (body, text)
+    {
+      RunHttpCommand (httpRequest, httpResponse, ['PutFile', httpRequest.query.path, text]);
+    });
+  });
+
+  botServer.delete ('/api/file', function (httpRequest, httpResponse)
+  {
+    RunHttpCommand (httpRequest, httpResponse, ['DeleteFile', httpRequest.query.path]);
+  });
+
+  // Anything else under /api is not a command
+  botServer.use ('/api', function (httpRequest, httpResponse)
+  {
+    httpResponse.status (404).json ({ type : 'Error', payload : { code : 'BadCommand', message : 'No such API route: ' + httpRequest.method + ' ' + httpRequest.originalUrl } });
+  });
+}
+
+//--- RunHttpCommand --------------------------------------
+
+function RunHttpCommand (httpRequest, httpResponse, fields)
+{
+  // Missing parameters are undefined, as from a JSON message
+  var request = { client : { webSocket : undefined,
+                             address   : httpRequest.ip,
+                             json      : true,
+                             uploads   : new Map (),
+                             downloads : new Map (),
+                             user      : undefined,
+                             role      : 'none' },
+                  json   : true,
+                  id     : undefined,
+                  fields : fields.map (function (field) { return (field == undefined ? undefined : String (field)); }),
+                  http   : httpResponse };
+
+  PostMessage ('http ' + httpRequest.method + ' ' + httpRequest.originalUrl, false, 'http');
+
+  // Every request gets an answer, even if the command never replies
+  var waitTime = HttpReplyTimeout + (fields[0] != 'Query' ? 0 : (parseInt (fields[2]) > 0 ? parseInt (fields[2]) : QueryTimeout));
+  var timer    = setTimeout (function ()
+  {
+    if (!httpResponse.headersSent)
+      httpResponse.status (500).json ({ type : 'Error', payload : { code : 'NoReply', message : 'No reply from ' + fields[0] + ' in ' + waitTime.toString() + ' ms' } });
+  },
+  waitTime);
+
+  httpResponse.on ('finish', function () { clearTimeout (timer); });
+  httpResponse.on ('close',  function () { clearTimeout (timer); });
+
+  FindUserByAuthorization (httpRequest.headers.authorization, function (user)
+  {
+    SetClientUser (request.client, user);
+    ExecuteCommand (request);
+  });
+}
+
+//--- HasBodyMessage --------------------------------------
+
+function HasBodyMessage (body, httpResponse)
+{
+  // False, after answering 400, if the request body has no message to send
+  if (body != undefined && typeof body.message == 'string' && body.message != '')
+    return true;
+
+  httpResponse.status (HttpErrorStatus.BadParameter).json ({ type : 'Error', payload : { code : 'BadParameter', message : (body == undefined || body.message == undefined || body.message === '' ? 'The request body has no message' : 'The message must be a string') } });
+  return false;
+}
+
+//--- HasDeviceID -----------------------------------------
+
+function HasDeviceID (httpRequest, httpResponse)
+{
+  // False, after answering 404, if :id is not a device ID (parseInt would take '0abc' as 0)
+  if (/^\d+$/.test (httpRequest.params.id))
+    return true;
+
+  httpResponse.status (HttpErrorStatus.BadDeviceID).json ({ type : 'Error', payload : { code : 'BadDeviceID', message : 'Bad device ID: ' + httpRequest.params.id } });
+  return false;
+}
+
+//--- ReadRequestBody -------------------------------------
+
+function ReadRequestBody (httpRequest, httpResponse, callback)
+{
+  // Calls callback (body, text):  the JSON body as an object, or {message : text}
+  var chunks = [];
+  var size   = 0;
+
+  httpRequest.on ('data', function (chunk)
+  {
+    size += chunk.length;
+
+    if (size <= MaxRequestBody)
+      chunks.push (chunk);
+  });
+
+  httpRequest.on ('end', function ()
+  {
+    var text = Buffer.concat (chunks).toString ();
+    var body;
+
+    if (size > MaxRequestBody)
+    {
+      httpResponse.status (413).json ({ type : 'Error', payload : { code : 'BadMessage', message : 'Request body is larger than ' + MaxRequestBody.toString() + ' bytes' } });
+      return;
+    }
+
+    if ((httpRequest.headers['content-type'] || '').indexOf ('application/json') >= 0)
+    {
+      try
+      {
+        body = JSON.parse (text || '{}');
+      }
+      catch (ex)
+      {
+        httpResponse.status (400).json ({ type : 'Error', payload : { code : 'BadMessage', message : 'Bad JSON body: ' + ex.message } });
+        return;
+      }
+    }
+    else
+      body = { message : text };
+
+    // Members are looked up on it, so nothing but an object will do
+    if (body === null || typeof body != 'object' || Array.isArray (body))
+    {
+      httpResponse.status (400).json ({ type : 'Error', payload : { code : 'BadMessage', message : 'The JSON body must be an object' } });
+      return;
+    }
+
+    try
+    {
+      callback (body, text);
+    }
+    catch (ex)
+    {
+      ShowException (ex);
+
+      if (!httpResponse.headersSent)
+        httpResponse.status (500).json ({ type : 'Error', payload : { code : 'ServerError', message : ex.message } });
+    }
+  });
+}
+
+
+//-----------------------------------------------------------------------------
+//  Statistics
+//
+//  Each device counts its traffic and trouble (NewDeviceStats) from the time
+//  the server starts.  They are reported, with the server's uptime and the
+//  number of connected clients, by:
+//
+//    GetStats|      - Stats|{"uptime": ..., "clients": ..., "devices": [...]}
+//    GET /health    - {"status": "ok" or "degraded", ...}, 503 if any device
+//                     is not open
+//    GET /metrics   - Prometheus text format, e.g.
+//                       nodebot_device_lines_in_total{device="0",name="Robot Motor 1"} 1234
+//
+//  /health and /metrics need a login like the web app's pages, if logins are
+//  required (Bearer tokens suit a monitoring system).
+//-----------------------------------------------------------------------------
+
+//--- NewDeviceStats --------------------------------------
+
+function NewDeviceStats ()
+{
+  return { bytesIn     : 0,
+           bytesOut    : 0,
+           linesIn     : 0,   // firmware messages (frames)
+           linesOut    : 0,
+           writeErrors : 0,
+           portErrors  : 0,
+           reconnects  : 0 }; // attempts to reopen
+}
+
+//--- CollectStats ----------------------------------------
+
+function CollectStats ()
+{
+  return { uptime  : Math.floor ((Date.now () - StartTime) / 1000),  // seconds
+           clients : WebClients.length,
+           devices : MCUPorts.map (function (device, deviceID)
+                     {
+                       var deviceStats = { id         : deviceID,
+                                           deviceName : device.deviceName,
+                                           status     : device.status,
+                                           queued     : device.writeQueue.priority.length + device.writeQueue.normal.length };
+
+                       Object.keys (device.stats).forEach (function (key)
+                       {
+                         deviceStats[key] = device.stats[key];
+                       });
+
+                       return deviceStats;
+                     }) };
+}
+
+//--- InitMonitoring --------------------------------------
+
+function InitMonitoring (botServer)
+{
+  botServer.get ('/health', RequireHttpLogin, function (httpRequest, httpResponse)
+  {
+    var stats   = CollectStats ();
+    var healthy = stats.devices.every (function (device) { return device.status == 'open'; });
+
+    httpResponse.status (healthy ? 200 : 503).json ({ status  : (healthy ? 'ok' : 'degraded'),
+                                                      uptime  : stats.uptime,
+                                                      clients : stats.clients,
+                                                      devices : stats.devices.map (function (device)
+                                                                {
+                                                                  return { id : device.id, deviceName : device.deviceName, status : device.status };
+                                                                }) });
+  });
+
+  botServer.get ('/metrics', RequireHttpLogin, function (httpRequest, httpResponse)
+  {
+    httpResponse.set ('Content-Type', 'text/plain; version=0.0.4');
+    httpResponse.send (PrometheusMetrics (CollectStats ()));
+  });
+}
+
+//--- PrometheusMetrics -----------------------------------
+
+function PrometheusMetrics (stats)
+{
+  var lines = [];
+
+  function Metric (name, type, help, samples)
+  {
+    lines.push ('# HELP nodebot_' + name + ' ' + help);
+    lines.push ('# TYPE nodebot_' + name + ' ' + type);
+
+    samples.forEach (function (sample)
+    {
+      lines.push ('nodebot_' + name + (sample.labels ? '{' + sample.labels + '}' : '') + ' ' + sample.value.toString());
+    });
+  }
+
+  function DeviceSamples (valueOf)
+  {
+    return stats.devices.map (function (device)
+    {
+      return { labels : 'device="' + device.id.toString() + '",name="' + device.deviceName.replace (/[\\"]/g, '\\$&').replace (/\n/g, '\\n') + '"',
+               value  : valueOf (device) };
+    });
+  }
+
+  Metric ('uptime_seconds', 'gauge', 'Seconds since the server started.', [{ value : stats.uptime }]);
+  Metric ('clients', 'gauge', 'Connected web app clients.', [{ value : stats.clients }]);
+  Metric ('device_open', 'gauge', '1 if the device is open.', DeviceSamples (function (device) { return (device.status == 'open' ? 1 : 0); }));
+  Metric ('device_queued', 'gauge', 'Messages waiting to be written to the device.', DeviceSamples (function (device) { return device.queued; }));
+  Metric ('device_bytes_in_total', 'counter', 'Bytes received from the device.', DeviceSamples (function (device) { return device.bytesIn; }));
+  Metric ('device_bytes_out_total', 'counter', 'Bytes written to the device.', DeviceSamples (function (device) { return device.bytesOut; }));
+  Metric ('device_lines_in_total', 'counter', 'Firmware messages received from the device.', DeviceSamples (function (device) { return device.linesIn; }));
+  Metric ('device_lines_out_total', 'counter', 'Messages written to the device.', DeviceSamples (function (device) { return device.linesOut; }));
+  Metric ('device_write_errors_total', 'counter', 'Failed writes to the device.', DeviceSamples (function (device) { return device.writeErrors; }));
+  Metric ('device_port_errors_total', 'counter', 'Port errors of the device.', DeviceSamples (function (device) { return device.portErrors; }));
+  Metric ('device_reconnects_total', 'counter', 'Attempts to reopen the device.', DeviceSamples (function (device) { return device.reconnects; }));
+
+  return lines.join ('\n') + '\n';
+}
+
+
+//-----------------------------------------------------------------------------
+//  Authentication
+//
+//  Logins and roles are read from UsersFile at startup (see Login above).
+//  Without it no login is needed and every client is an admin, as before.
+//
+//  Every command needs a role (CommandRoles), checked in ExecuteCommand for
+//  websocket, JSON and REST API requests alike.  Clients without the viewer
+//  role receive no device messages or events, and the web app's pages are
+//  only served to logged in browsers (HTTP Basic login).
+//-----------------------------------------------------------------------------
+
+//--- LoadUsers -------------------------------------------
+
+function LoadUsers ()
+{
+  if (!FileSystem.existsSync (UsersFile))
+  {
+    PostMessage ('No ' + UsersFile + ':  no login needed, every client is an admin', false, 'server', 'warn');
+    return;
+  }
+
+  try
+  {
+    var config = JSON.parse (FileSystem.readFileSync (UsersFile).toString ());
+    var anonymous = config.anonymous || 'none';
+    var hashed    = [];  // names of the users whose plain-text passwords were hashed
+
+    if (anonymous != 'none' && anonymous != 'viewer')
+      throw new Error ('"anonymous" must be none or viewer');
+
+    if (!Array.isArray (config.users))
+      throw new Error ('"users" must be an array');
+
+    config.users.forEach (function (user, userIndex)
+    {
+      var entry = 'users[' + userIndex.toString() + ']';
+
+      if (typeof user.name != 'string' || user.name == '')
+        throw new Error (entry + ': "name" is required');
+
+      if (Roles.indexOf (user.role) < 1)
+        throw new Error (entry + ': "role" must be one of ' + Roles.slice (1).join (', '));
+
+      if (user.password != undefined && (typeof user.password != 'string' || user.password == ''))
+        throw new Error (entry + ': "password" must be a string');
+
+      if (user.token != undefined && (typeof user.token != 'string' || user.token == ''))
+        throw new Error (entry + ': "token" must be a string');
+
+      if (user.password == undefined && user.token == undefined)
+        throw new Error (entry + ': "password" or "token" is required');
+
+      if (user.password != undefined && !IsPasswordHash (user.password))
+      {
+        user.password = HashPassword (user.password);
+        hashed.push (user.name);
+      }
+    });
+
+    // Plain-text passwords don't stay on disk
+    if (hashed.length > 0)
+      SaveUsers (config, hashed);
+
+    Users = { anonymous : anonymous, users : config.users };
+    PostMessage ('Login required: ' + Users.users.length.toString() + ' user(s) in ' + UsersFile, false, 'server');
+  }
+  catch (ex)
+  {
+    // Never run open by mistake
+    PostMessage ('Unable to load ' + UsersFile + ': ' + ex.message + ' (fix or remove it)', false, 'server', 'error');
+    process.exit (1);
+  }
+}
+
+//--- SaveUsers -------------------------------------------
+
+function SaveUsers (config, hashed)
+{
+  try
+  {
+    FileSystem.writeFileSync (UsersFile, JSON.stringify (config, null, 2) + '\n');
+    PostMessage ('Replaced the plain-text password of ' + hashed.join (', ') + ' in ' + UsersFile + ' with a salted hash', false, 'server', 'warn');
+  }
+  catch (ex)
+  {
+    // The hashes are still used, but the file keeps the passwords
+    PostMessage ('Unable to save the password hashes to ' + UsersFile + ': ' + ex.message + ' (it still holds plain-text passwords)', false, 'server', 'error');
+  }
+}
+
+//--- HashPassword / IsPasswordHash -----------------------
+
+function HashPassword (password)
+{
+  // 'scrypt:<salt>:<hash>', in hex
+  var salt = Crypto.randomBytes (16).toString ('hex');
+
+  return 'scrypt:' + salt + ':' + Crypto.scryptSync (password, salt, 32).toString ('hex');
+}
+
+function IsPasswordHash (password)
+{
+  return /^scrypt:[0-9a-f]{32}:[0-9a-f]{64}$/.test (password);
+}
+
+//--- FindUser --------------------------------------------
+
+function FindUser (name, password, callback)
+{
+  // Calls callback (user):  the user with this name and password (or token), or undefined
+  if (Users == undefined || name == undefined || password == undefined)
+  {
+    callback (undefined);
+    return;
+  }
+
+  var named = Users.users.filter (function (candidate) { return candidate.name == name; });
+  var user  = named.find (function (candidate) { return candidate.token != undefined && SecretsMatch (candidate.token, password); });
+
+  if (user != undefined)
+  {
+    callback (user);
+    return;
+  }
+
+  // Passwords one at a time (names are rarely used twice)
+  named = named.filter (function (candidate) { return candidate.password != undefined; });
+
+  (function CheckNext (index)
+  {
+    if (index >= named.length)
+    {
+      callback (undefined);
+      return;
+    }
+
+    PasswordMatches (named[index].password, password, function (matches)
+    {
+      if (matches)
+        callback (named[index]);
+      else
+        CheckNext (index + 1);
+    });
+  })(0);
+}
+
+function FindUserByToken (token)
+{
+  if (Users == undefined || typeof token != 'string' || token == '')
+    return undefined;
+
+  return Users.users.find (function (user)
+  {
+    return user.token != undefined && SecretsMatch (user.token, token);
+  });
+}
+
+function FindUserByAuthorization (authorization, callback)
+{
+  // HTTP "Authorization" header:  'Basic base64(name:password)' or 'Bearer token'
+  var parts = (authorization || '').split (' ');
+
+  if (parts[0] == 'Bearer')
+  {
+    callback (FindUserByToken (parts[1]));
+    return;
+  }
+
+  if (parts[0] == 'Basic')
+  {
+    var credentials = Buffer.from (parts[1] || '', 'base64').toString ();
+    var colon       = credentials.indexOf (':');
+
+    if (colon > 0)
+    {
+      FindUser (credentials.slice (0, colon), credentials.slice (colon + 1), callback);
+      return;
+    }
+  }
+
+  callback (undefined);
+}
+
+//--- SecretsMatch ----------------------------------------
+
+function SecretsMatch (secret, guess)
+{
+  // Compare hashes in constant time, so the time taken gives nothing away
+  return Crypto.timingSafeEqual (Crypto.createHash ('sha256').update (secret).digest (),
+                                 Crypto.createHash ('sha256').update (String (guess)).digest ());
+}
+
+//--- PasswordMatches -------------------------------------
+
+function PasswordMatches (passwordHash, guess, callback)
+{
+  // Hash the guess with the same salt (see HashPassword), off the event loop
+  // so that logins can't hold up the devices
+  var parts = passwordHash.split (':');
+
+  Crypto.scrypt (String (guess), parts[1], 32, function (error, hash)
+  {
+    callback (!error && Crypto.timingSafeEqual (hash, Buffer.from (parts[2], 'hex')));
+  });
+}
+
+//--- SetClientUser ---------------------------------------
+
+function SetClientUser (client, user)
+{
+  // undefined user:  not logged in
+  // Control was given to the user, not the connection
+  if (client.user != user)
+    ControlClientLost (client, (user ? 'logged in as ' + user.name : 'logged out'));
+
+  client.user = user;
+
+  if (Users == undefined)
+    client.role = 'admin';
+  else
+    client.role = (user ? user.role : Users.anonymous);
+}
+
+//--- HasRole ---------------------------------------------
+
+function HasRole (client, role)
+{
+  return Roles.indexOf (client.role) >= Roles.indexOf (role);
+}
+
+//--- LoginClient -----------------------------------------
+
+function LoginClient (name, password, request)
+{
+  FindUser (name, password, function (user)
+  {
+    try
+    {
+      var client = request.client;
+
+      if (user == undefined)
+      {
+        PostMessage ('Failed login from ' + client.address + (name ? ' as ' + name : ''), false, 'client', 'warn');
+        PostError (request, 'LoginRequired', 'Login failed: wrong name or password');
+        return;
+      }
+
+      var couldView = HasRole (client, 'viewer');
+
+      SetClientUser (client, user);
+      PostReply (request, 'LoggedIn', { name : user.name, role : user.role }, 'LoggedIn|' + user.name + '|' + user.role);
+
+      // Now it may see the devices, and who is in control
+      if (!couldView && client.webSocket != undefined)
+        SendCurrentState (client);
+    }
+    catch (ex)
+    {
+      ShowException (ex);
+    }
+  });
+}
+
+//--- RequireHttpLogin ------------------------------------
+
+function RequireHttpLogin (httpRequest, httpResponse, next)
+{
+  // Express middleware:  the web app's pages are for viewers and up
+  if (Users == undefined || Users.anonymous != 'none')
+  {
+    next ();
+    return;
+  }
+
+  FindUserByAuthorization (httpRequest.headers.authorization, function (user)
+  {
+    if (user != undefined)
+    {
+      next ();
+      return;
+    }
+
+    httpResponse.set ('WWW-Authenticate', 'Basic realm="NodeBot Server"');
+    httpResponse.status (401).send ('Login required');
+  });
+}
+
+//--- SendCurrentState ------------------------------------
+
+function SendCurrentState (client)
+{
+  var holder = (Controller ? ClientName (Controller.client) : '');
+
+  MCUPorts.forEach (function (device, deviceID)
+  {
+    SendToClient (client, 'DeviceStatus', { device : deviceID, status : device.status }, 'DeviceStatus|' + deviceID.toString() + '|' + device.status);
+
+    if (device.job != undefined)
+      SendToClient (client, 'JobProgress', JobProgressPayload (device), JobProgressMessage (device));
+  });
+
+  SendToClient (client, 'Control', { holder : holder, reason : '' }, 'Control|' + holder + '|');
+}
+
+
+//-----------------------------------------------------------------------------
+//  Control Arbitration
+//
+//  RequestControl| gives a client control of the machine, until it sends
+//  ReleaseControl|, disconnects or (with a timeout) sends no command for
+//  <timeout> ms.  Control|holder|reason tells all clients of every change.
+//
+//  While a client is in control, ControlCommands and id|message from other
+//  clients (and the REST API) are refused with NotInControl.  An E-STOP,
+//  EStop| or a Broadcast of any device's "stopMessage", is never refused.
+//  While nobody is in control, anyone may send them, unless the server was
+//  started with --control required.  Logout|, or logging in as another user,
+//  gives up control.
+//-----------------------------------------------------------------------------
+
+//--- RequestControl --------------------------------------
+
+function RequestControl (timeout, force, request)
+{
+  try
+  {
+    var client = request.client;
+
+    if (timeout != undefined && timeout !== '' && !(parseInt (timeout) > 0))
+    {
+      PostError (request, 'BadParameter', 'Bad control timeout: ' + timeout);
+      return;
+    }
+
+    // REST API requests have no client to hold control
+    if (client.webSocket == undefined)
+    {
+      PostError (request, 'BadCommand', 'Control can only be held by a connected client');
+      return;
+    }
+
+    if (Controller != undefined && Controller.client != client)
+    {
+      if (!force || !HasRole (client, 'admin'))
+      {
+        PostError (request, 'NotInControl', ClientName (Controller.client) + ' is in control');
+        return;
+      }
+
+      PostMessage (ClientName (client) + ' took control from ' + ClientName (Controller.client), false, 'client');
+    }
+
+    SetController (client, (parseInt (timeout) > 0 ? parseInt (timeout) : 0), 'requested');
+    PostAck (request);
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- ReleaseControl --------------------------------------
+
+function ReleaseControl (request)
+{
+  if (Controller == undefined || Controller.client != request.client)
+  {
+    PostError (request, 'NotInControl', 'Not in control');
+    return;
+  }
+
+  SetController (undefined, 0, 'released');
+  PostAck (request);
+}
+
+//--- ControlClientLost -----------------------------------
+
+function ControlClientLost (client, reason)
+{
+  if (Controller != undefined && Controller.client == client)
+    SetController (undefined, 0, reason || 'disconnected');
+}
+
+//--- SetController ---------------------------------------
+
+function SetController (client, timeout, reason)
+{
+  try
+  {
+    var holder = (client ? ClientName (client) : '');
+
+    if (Controller != undefined)
+      clearTimeout (Controller.timer);
+
+    Controller = (client ? { client : client, timeout : timeout, timer : undefined } : undefined);
+    RenewControl ();
+
+    PostEvent ('Control', { holder : holder, reason : reason }, 'Control|' + holder + '|' + reason);
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- RenewControl ----------------------------------------
+
+function RenewControl ()
+{
+  // Restart the idle timeout
+  if (Controller == undefined || Controller.timeout == 0)
+    return;
+
+  clearTimeout (Controller.timer);
+  Controller.timer = setTimeout (function ()
+  {
+    SetController (undefined, 0, 'timed out');
+  },
+  Controller.timeout);
+}
+
+//--- MayControl ------------------------------------------
+
+function MayControl (request, fields)
+{
+  // False if the command needs control that the client does not have
+  var command = fields[0];
+
+  if (Controller != undefined && Controller.client == request.client)
+  {
+    RenewControl ();
+    return true;
+  }
+
+  if (ControlCommands.indexOf (command) < 0 && !(command[0] >= '0' && command[0] <= '9'))
+    return true;
+
+  // E-STOP is always allowed
+  if (command == 'Broadcast' && IsStopMessage (fields.slice (1).join ('|')))
+    return true;
+
+  return (Controller == undefined && !ControlRequired);
+}
+
+//--- IsStopMessage ---------------------------------------
+
+function IsStopMessage (message)
+{
+  return MCUPorts.some (function (device)
+  {
+    return device.stopMessage != undefined && device.stopMessage == message;
+  });
+}
+
+//--- ClientName ------------------------------------------
+
+function ClientName (client)
+{
+  // e.g. 'bill (192.168.1.20)', or just the address if not logged in
+  return (client.user ? client.user.name + ' (' + client.address + ')' : client.address);
+}
+
+
+//-----------------------------------------------------------------------------
+//  Subscriptions
+//
+//  A client receives the firmware messages of all devices until it sends
+//  Subscribe|ids|pattern.  From then on it receives only those of the
+//  devices it subscribed to, and only messages matching the pattern given
+//  for the device (a regular expression), if any:
+//
+//    Subscribe|0,2            - all messages from devices 0 and 2
+//    Subscribe|1|^T=          - and the telemetry lines of device 1
+//    Unsubscribe|2            - no more from device 2
+//    Subscribe|*              - everything again
+//
+//  The pattern is the rest of the message, so it may hold a '|', e.g.
+//  Subscribe|0|^(OK|ERR).
+//
+//  Unsubscribing from a device while subscribed to all (*) leaves all the
+//  others.  Subscriptions follow the device, not its ID, if devices are removed.
+//  Other messages (DeviceStatus, replies, ...) are not filtered.
+//-----------------------------------------------------------------------------
+
+//--- Subscribe -------------------------------------------
+
+function Subscribe (deviceIDs, pattern, request)
+{
+  try
+  {
+    var client  = request.client;
+    var devices = ParseDeviceIDs (deviceIDs);
+    var regExp  = undefined;
+
+    if (devices == undefined)
+    {
+      PostError (request, 'BadDeviceID', 'Bad device IDs: ' + deviceIDs);
+      return;
+    }
+
+    try
+    {
+      if (pattern != undefined && pattern != '')
+        regExp = new RegExp (pattern);
+    }
+    catch (exRE)
+    {
+      PostError (request, 'BadParameter', 'Bad subscription pattern: ' + exRE.message);
+      return;
+    }
+
+    if (devices == '*')
+      client.subscriptions = (regExp ? [{ device : '*', pattern : regExp }] : undefined);
+    else
+    {
+      // A new subscription to a device replaces the old one
+      if (client.subscriptions == undefined)
+        client.subscriptions = [];
+
+      client.subscriptions = client.subscriptions.filter (function (subscription)
+      {
+        return devices.indexOf (subscription.device) < 0;
+      });
+
+      devices.forEach (function (device)
+      {
+        client.subscriptions.push ({ device : device, pattern : regExp });
+      });
+    }
+
+    SendSubscriptions (request);
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- Unsubscribe -----------------------------------------
+
+function Unsubscribe (deviceIDs, request)
+{
+  try
+  {
+    var client  = request.client;
+    var devices = ParseDeviceIDs (deviceIDs);
+
+    if (devices == undefined)
+    {
+      PostError (request, 'BadDeviceID', 'Bad device IDs: ' + deviceIDs);
+      return;
+    }
+
+    // From everything to everything else
+    if (client.subscriptions == undefined)
+      client.subscriptions = [{ device : '*', pattern : undefined }];
+
+    if (devices == '*')
+      client.subscriptions = [];
+    else
+    {
+      client.subscriptions = client.subscriptions.filter (function (subscription)
+      {
+        return devices.indexOf (subscription.device) < 0;
+      });
+
+      // ... less the devices given, if subscribed to all
+      client.subscriptions.forEach (function (subscription)
+      {
+        if (subscription.device == '*')
+          subscription.except = (subscription.except || []).concat (devices);
+      });
+    }
+
+    SendSubscriptions (request);
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- ParseDeviceIDs --------------------------------------
+
+function ParseDeviceIDs (deviceIDs)
+{
+  // '0,2' or '[0,2]' -> the devices, '*' -> '*', undefined if any is bad
+  var devices = [];
+  var ids     = (deviceIDs || '').replace (/[\[\]\s]/g, '');
+
+  if (ids == '*')
+    return '*';
+
+  if (ids == '')
+    return undefined;
+
+  var allGood = ids.split (',').every (function (id)
+  {
+    var deviceID = parseInt (id);
+
+    if (!/^\d+$/.test (id) || deviceID >= MCUPorts.length)
+      return false;
+
+    devices.push (MCUPorts[deviceID]);
+    return true;
+  });
+
+  return (allGood ? devices : undefined);
+}
+
+//--- SendSubscriptions -----------------------------------
+
+function SendSubscriptions (request)
+{
+  // Subscriptions|[{device, pattern}, ...] with current device IDs
+  var subscriptions = (request.client.subscriptions || [{ device : '*', pattern : undefined }]).map (function (subscription)
+  {
+    if (subscription.device != '*')
+      return { device : MCUPorts.indexOf (subscription.device), pattern : (subscription.pattern ? subscription.pattern.source : '') };
+
+    return { device  : '*',
+             pattern : (subscription.pattern ? subscription.pattern.source : ''),
+             except  : (subscription.except || []).map (function (device) { return MCUPorts.indexOf (device); }) };
+  });
+
+  PostReply (request, 'Subscriptions', subscriptions, 'Subscriptions|' + JSON.stringify (subscriptions));
+}
+
+//--- IsSubscribed ----------------------------------------
+
+function IsSubscribed (client, device, firmwareMessage)
+{
+  if (client.subscriptions == undefined)
+    return true;
+
+  return client.subscriptions.some (function (subscription)
+  {
+    if (subscription.device == '*' ? (subscription.except || []).indexOf (device) >= 0 : subscription.device != device)
+      return false;
+
+    return (subscription.pattern == undefined || subscription.pattern.test (firmwareMessage));
+  });
+}
+
+//--- PostDeviceMessage -----------------------------------
+
+function PostDeviceMessage (device, deviceID, firmwareMessage)
+{
+  try
+  {
+    // Firmware message to each client subscribed to it:  id|message
+    var legacyMessage = deviceID.toString() + '|' + firmwareMessage;
+
+    WebClients.forEach (function (client)
+    {
+      if (IsSubscribed (client, device, firmwareMessage))
+        SendToClient (client, 'DeviceMessage', { device : deviceID, message : firmwareMessage }, legacyMessage);
+    });
+
+    PostMessage (legacyMessage, false, 'serial');
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+
+//-----------------------------------------------------------------------------
+//  Server Log
+//
+//  Everything the server logs has a level (debug, info, warn, error) and a
+//  category (server, serial, client, file, http, safety), see Log.js.  Entries
+//  at or above LogSettings.level go to the console and the rotating log file
+//  LogSettings.file.
+//
+//  An admin client may watch the log live, whatever LogSettings.level is:
+//
+//    SubscribeLog|debug             - every entry
+//    SubscribeLog|warn|serial,http  - warnings and errors of those categories
+//    UnsubscribeLog|                - no more
+//
+//  Each entry is sent as Log|time|level|category|message (time in ms since
+//  1970), or in JSON as { "type": "Log", "payload": {time, level, category, message} }.
+//-----------------------------------------------------------------------------
+
+//--- InitLog ---------------------------------------------
+
+function InitLog ()
+{
+  try
+  {
+    Log.Configure (LogSettings);
+  }
+  catch (ex)
+  {
+    console.log ('Logging to the console only:  ' + ex.message);
+  }
+
+  Log.AddListener (SendLogEntry);
+}
+
+//--- SubscribeLog ----------------------------------------
+
+function SubscribeLog (level, categories, request)
+{
+  try
+  {
+    if ((level != undefined && typeof level != 'string') || (categories != undefined && typeof categories != 'string'))
+    {
+      PostError (request, 'BadParameter', 'Log level and categories must be strings, e.g. info and serial,http');
+      return;
+    }
+
+    var list = (categories == undefined || categories == '' || categories == '*' ? '*' : categories.replace (/\s/g, '').split (','));
+    var bad  = (list == '*' ? [] : list.filter (function (category) { return Log.Categories.indexOf (category) < 0; }));
+
+    // No level:  unsubscribe
+    if (level == undefined || level == '')
+      request.client.log = undefined;
+    else if (Log.Levels.indexOf (level) < 0)
+    {
+      PostError (request, 'BadParameter', 'Bad log level: ' + level + ' (use ' + Log.Levels.join (', ') + ')');
+      return;
+    }
+    else if (bad.length > 0)
+    {
+      PostError (request, 'BadParameter', 'Bad log category: ' + bad.join (',') + ' (use ' + Log.Categories.join (', ') + ')');
+      return;
+    }
+    else
+      request.client.log = { level : level, categories : list };
+
+    var log = request.client.log || { level : '', categories : '*' };
+
+    PostReply (request, 'LogSubscription', log, 'LogSubscription|' + log.level + '|' + (log.categories == '*' ? '*' : log.categories.join (',')));
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- SendLogEntry ----------------------------------------
+
+function SendLogEntry (entry)
+{
+  // Not again for anything logged while sending (e.g. a failed send)
+  if (SendingLogEntry)
+    return;
+
+  SendingLogEntry = true;
+
+  try
+  {
+    WebClients.forEach (function (client)
+    {
+      var log = client.log;
+
+      if (log != undefined && Log.IsLevel (entry.level, log.level) && (log.categories == '*' || log.categories.indexOf (entry.category) >= 0))
+        SendToClient (client, 'Log', entry, 'Log|' + entry.time.toString() + '|' + entry.level + '|' + entry.category + '|' + entry.message);
+    });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+
+  SendingLogEntry = false;
+}
+
+
+//-----------------------------------------------------------------------------
+//  ProcessClientMessage
+//
+//  Legacy pipe-delimited messages:  command|field|field|...
+//-----------------------------------------------------------------------------
+
+function ProcessClientMessage (clientMessage, client)
+{
+  try
+  {
+    // Echo client message to console (without chunk data or passwords)
+    PostMessage (LoggableCommand (clientMessage.split ('|')), false, 'client', CommandLogLevel (clientMessage.split ('|')[0]));
+
+    // Check minimum requirements
+    if (clientMessage.length < 3 || !clientMessage.contains ('|'))
+      return;
+
+    ExecuteCommand ({ client : client,
+                      json   : false,
+                      id     : undefined,
+                      fields : clientMessage.split ('|') });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- LoggableCommand -------------------------------------
+
+function LoggableCommand (fields)
+{
+  // A command's text for the console and recordings, without the bulk data
+  // of file chunks or passwords
+  if (fields[0] == 'PutFileChunk')
+    return fields.slice (0, 3).join ('|') + '|...';
+
+  if (fields[0] == 'Login')
+    return fields.slice (0, 2).join ('|') + '|...';
+
+  return fields.join ('|');
+}
+
+//--- CommandLogLevel -------------------------------------
+
+function CommandLogLevel (command)
+{
+  // Heartbeats come several times a second while armed, so not at the default level
+  return (command == 'Heartbeat' ? 'debug' : 'info');
+}
+
+
+//-----------------------------------------------------------------------------
+//  ProcessJsonMessage
+//
+//  JSON protocol messages (socket.io event 'json'), as objects or strings:
+//
+//    { "v": 1, "type": "GetFile", "id": "r17", "payload": { "path": "programs/arm.txt" } }
+//    { "v": 1, "type": "Send", "id": "r18", "device": 0, "payload": { "message": "GETPOS" } }
+//
+//  Payload members are mapped by name (JsonCommandFields) onto the same
+//  fields as the legacy message, so both protocols share ExecuteCommand.
+//
+//  Replies to JSON messages are JSON.  Events (firmware messages, status,
+//  ...) are sent as JSON only after the client opts in with Hello.
+//-----------------------------------------------------------------------------
+
+function ProcessJsonMessage (jsonMessage, client)
+{
+  var request = { client : client,
+                  json   : true,
+                  id     : undefined,
+                  fields : undefined };
+
+  try
+  {
+    var message = (typeof jsonMessage == 'string' ? JSON.parse (jsonMessage) : jsonMessage);
+
+    if (typeof message != 'object' || message == null)
+    {
+      PostError (request, 'BadMessage', 'JSON message must be an object');
+      return;
+    }
+
+    request.id = message.id;
+    PostMessage ('json ' + message.type + (message.id == undefined ? '' : ' #' + message.id), false, 'client', CommandLogLevel (message.type));
+
+    if (message.v != undefined && message.v != ProtocolVersion)
+    {
+      PostError (request, 'UnsupportedVersion', 'Unsupported protocol version: ' + message.v);
+      return;
+    }
+
+    // From now on, events go to this client in JSON
+    if (message.type == 'Hello')
+    {
+      client.json = true;
+      PostReply (request, 'Hello', { v : ProtocolVersion }, undefined);
+      return;
+    }
+
+    var fieldNames = JsonCommandFields[message.type];
+    var payload    = message.payload || {};
+
+    if (fieldNames == undefined)
+    {
+      PostError (request, 'BadCommand', 'Bad command: ' + message.type);
+      return;
+    }
+
+    // 'Send' is the legacy id|message
+    request.fields = [(message.type == 'Send' ? String (message.device) : message.type)];
+
+    fieldNames.forEach (function (name)
+    {
+      var value = (name == 'device' ? message.device : payload[name]);
+
+      if (value == undefined)
+        request.fields.push (undefined);
+      else
+        request.fields.push (typeof value == 'object' ? JSON.stringify (value) : String (value));
+    });
+
+    // Commands without parameters look like 'GetDevices|'
+    if (request.fields.length < 2)
+      request.fields.push ('');
+
+    ExecuteCommand (request);
+  }
+  catch (ex)
+  {
+    PostError (request, 'BadMessage', 'Bad JSON message: ' + ex.message);
+  }
+}
+
+
+//-----------------------------------------------------------------------------
+//  ExecuteCommand
+//
+//  Runs a client command from either protocol.  request.fields[0] is the
+//  command and the rest are its parameters.  Replies and errors go only to
+//  the client that sent the command (see PostReply and PostError).
+//-----------------------------------------------------------------------------
+
+function ExecuteCommand (request)
+{
+  try
+  {
+    var fields = request.fields;
+
+    RecordTraffic ('client', request.client, LoggableCommand (fields));
+
+    if (fields.length < 2)
+      PostError (request, 'BadCommand', 'Bad command: ' + fields.join ('|'));
+    else
+    {
+      var command = fields[0];
+      var role    = CommandRoles[command] || 'operator';
+
+      //-----------------------------------------
+      // Permission for the command
+      // (see Authentication)
+      //-----------------------------------------
+      if (!HasRole (request.client, role))
+      {
+        if (request.client.role == 'none')
+          PostError (request, 'LoginRequired', 'Log in first (Login|name|password)');
+        else
+          PostError (request, 'NotAuthorized', 'Not authorized: ' + (command[0] >= '0' && command[0] <= '9' ? 'device messages need' : command + ' needs') + ' the ' + role + ' role');
+      }
+
+      //-----------------------------------------
+      // Control of the machine
+      // (see Control Arbitration)
+      //-----------------------------------------
+      else if (!MayControl (request, fields))
+        PostError (request, 'NotInControl', (Controller ? 'Refused: ' + ClientName (Controller.client) + ' is in control' : 'Refused: send RequestControl| first'));
+
+      //-----------------------------------------
+      // RequestControl|timeout|force  ReleaseControl|
+      //-----------------------------------------
+      else if (command == 'RequestControl')
+        RequestControl (fields[1], fields[2] == 'force', request);
+
+      else if (command == 'ReleaseControl')
+        ReleaseControl (request);
+
+      //-----------------------------------------
+      // Subscribe|ids|pattern  Unsubscribe|ids
+      // (see Subscriptions)
+      //-----------------------------------------
+      else if (command == 'Subscribe')
+        Subscribe (fields[1], (fields[2] == undefined ? undefined : fields.slice (2).join ('|')), request);
+
+      else if (command == 'Unsubscribe')
+        Unsubscribe (fields[1], request);
+
+      //-----------------------------------------
+      // SubscribeLog|level|categories  UnsubscribeLog|
+      // (see Server Log)
+      //-----------------------------------------
+      else if (command == 'SubscribeLog')
+        SubscribeLog (fields[1], fields[2], request);
+
+      else if (command == 'UnsubscribeLog')
+        SubscribeLog (undefined, undefined, request);
+
+      //-----------------------------------------
+      // Login|name|password  Logout|
+      //-----------------------------------------
+      else if (command == 'Login')
+        LoginClient (fields[1], (fields[2] == undefined ? undefined : fields.slice (2).join ('|')), request);
+
+      else if (command == 'Logout')
+      {
+        SetClientUser (request.client, undefined);
+        PostReply (request, 'LoggedIn', { name : '', role : request.client.role }, 'LoggedIn||' + request.client.role);
+      }
+
+      //-----------------------------------------
+      // id|message
+      //-----------------------------------------
+      else if (command[0] >= '0' && command[0] <= '9')
+      {
+        // Forward firmware message to appropriate port:
+        var deviceID = parseInt (command);
+        if (isNaN (deviceID) || deviceID < 0 || deviceID >= MCUPorts.length)
+          PostError (request, 'BadDeviceID', 'Bad device ID: ' + command);
+        else if (WriteToDevice (MCUPorts[deviceID], fields.slice (1).join ('|'), request))
+          PostAck (request);
+      }
+
+      //-----------------------------------------
+      // Query|id|timeout|pattern|message
+      //-----------------------------------------
+      else if (command == 'Query')
+      {
+        var queryID = parseInt (fields[1]);
+        if (isNaN (queryID) || queryID < 0 || queryID >= MCUPorts.length)
+          PostError (request, 'BadDeviceID', 'Bad device ID: ' + fields[1]);
+        else if (fields[4] == undefined)
+          PostError (request, 'BadParameter', 'Missing query message parameter.');
+        else
+          SendQuery (queryID, parseInt (fields[2]), fields[3], fields.slice (4).join ('|'), request);
+      }
+
+      //-----------------------------------------
+      // Arm|timeout  Disarm|  Heartbeat|  GetSafety|  EStop|
+      // (see Safety Watchdog)
+      //-----------------------------------------
+      else if (command == 'Arm')
+        ArmSafety (fields[1], request);
+
+      else if (command == 'Disarm')
+        DisarmSafety (request);
+
+      else if (command == 'Heartbeat')
+        SafetyHeartbeat (request);
+
+      else if (command == 'GetSafety')
+        PostReply (request, 'Safety', { state : SafetyState }, 'Safety|' + SafetyState);
+
+      else if (command == 'EStop')
+      {
+        TripSafety ('E-STOP from ' + ClientName (request.client));
+        PostAck (request);
+      }
+
+      //-----------------------------------------
+      // RecordStart|  RecordStop|
+      // (see Traffic Recording)
+      //-----------------------------------------
+      else if (command == 'RecordStart')
+        StartRecording (request);
+
+      else if (command == 'RecordStop')
+        StopRecording (request);
+
+      //-----------------------------------------
+      // JobStart|id|path|ack  JobPause|id
+      // JobResume|id  JobAbort|id
+      // (see Jobs)
+      //-----------------------------------------
+      else if (['JobStart', 'JobPause', 'JobResume', 'JobAbort'].indexOf (command) >= 0)
+      {
+        var jobID = parseInt (fields[1]);
+        if (isNaN (jobID) || jobID < 0 || jobID >= MCUPorts.length)
+          PostError (request, 'BadDeviceID', 'Bad device ID: ' + fields[1]);
+        else if (command == 'JobStart')
+          StartJob (jobID, fields[2], fields.slice (3).join ('|'), request);
+        else if (command == 'JobPause')
+          PauseJob (jobID, request);
+        else if (command == 'JobResume')
+          ResumeJob (jobID, request);
+        else
+          AbortJob (jobID, request);
+      }
+
+      //-----------------------------------------
+      // GetTelemetry|id|field|since
+      // ExportTelemetry|id|path|since
+      // (see Telemetry)
+      //-----------------------------------------
+      else if (command == 'GetTelemetry' || command == 'ExportTelemetry')
+      {
+        var telemetryID = parseInt (fields[1]);
+        if (isNaN (telemetryID) || telemetryID < 0 || telemetryID >= MCUPorts.length)
+          PostError (request, 'BadDeviceID', 'Bad device ID: ' + fields[1]);
+        else if (command == 'GetTelemetry')
+          GetTelemetry (telemetryID, fields[2], parseInt (fields[3]), request);
+        else
+          ExportTelemetry (telemetryID, fields[2], parseInt (fields[3]), request);
+      }
+
+      //-----------------------------------------
+      // Broadcast|message
+      //-----------------------------------------
+      else if (command == 'Broadcast')
+      {
+        // Broadcast message to all open ports (e.g. E-STOP)
+        var broadcastMessage = fields.slice (1).join ('|');
+        var refusedBy        = [];
+
+        MCUPorts.forEach (function (device)
+        {
+          try
+          {
+            if (!IsDeviceOpen (device))
+              return;
+
+            // Only a device's stop message gets through after an automatic E-STOP
+            if (IsMotionRefused (device, broadcastMessage))
+            {
+              refusedBy.push (device.deviceName);
+              return;
+            }
+
+            // Ahead of anything waiting to be written
+            WriteFrame (device, broadcastMessage, true);
+          }
+          catch (exWrite)
+          {
+            PostMessage ('Unable to broadcast to ' + device.deviceName + ': ' + exWrite.message, false, 'serial', 'error');
+          }
+        });
+
+        if (refusedBy.length > 0)
+          PostError (request, 'SafetyTripped', 'Refused by ' + refusedBy.join (', ') + ': safety stop is active, send Arm| to re-arm');
+        else
+          PostAck (request);
+      }
+
+      //-----------------------------------------
+      // GetStats|
+      // (see Statistics)
+      //-----------------------------------------
+      else if (command == 'GetStats')
+      {
+        var stats = CollectStats ();
+        PostReply (request, 'Stats', stats, 'Stats|' + JSON.stringify (stats));
+      }
+
+      //-----------------------------------------
+      // ListPorts|
+      //-----------------------------------------
+      else if (command == 'ListPorts')
+      {
+        // List the serial ports (and their USB identities) on this machine
+        ListSerialPorts (function (error, ports)
+        {
+          if (error)
+            PostError (request, 'SerialError', 'Unable to list serial ports: ' + error.message);
+          else
+            PostReply (request, 'PortList', ports, 'PortList|' + JSON.stringify (ports));
+        });
+      }
+
+      //-----------------------------------------
+      // GetDevices|
+      //-----------------------------------------
+      else if (command == 'GetDevices')
+        SendDeviceList (request);
+
+      //-----------------------------------------
+      // AddDevice|{device config JSON}
+      //-----------------------------------------
+      else if (command == 'AddDevice')
+      {
+        // The config may itself contain '|' (portSettings)
+        AddDevice (fields.slice (1).join ('|'), request);
+      }
+
+      //-----------------------------------------
+      // RemoveDevice|id
+      //-----------------------------------------
+      else if (command == 'RemoveDevice')
+      {
+        var removeID = parseInt (fields[1]);
+        if (isNaN (removeID) || removeID < 0 || removeID >= MCUPorts.length)
+          PostError (request, 'BadDeviceID', 'Bad device ID: ' + fields[1]);
+        else
+          RemoveDevice (removeID, request);
+      }
+
+      //-----------------------------------------
+      // SetPortSettings|id|baud|dataBits|stopBits|parity
+      //-----------------------------------------
+      else if (command == 'SetPortSettings')
+      {
+        var settingsID = parseInt (fields[1]);
+        if (isNaN (settingsID) || settingsID < 0 || settingsID >= MCUPorts.length)
+          PostError (request, 'BadDeviceID', 'Bad device ID: ' + fields[1]);
+        else
+          SetPortSettings (settingsID, fields.slice (2).join ('|'), request);
+      }
+
+      //-----------------------------------------
+      // SaveDevices|
+      //-----------------------------------------
+      else if (command == 'SaveDevices')
+        SaveDeviceConfigs (request);
+
+      //-----------------------------------------
+      // GetFileList|path|ext
+      // (relative to NodeBot_Client folder)
+      //-----------------------------------------
+      else if (command == 'GetFileList')
+      {
+        var listPath = ResolveClientPath (fields[1]);
+
+        if (fields[2] == undefined)
+          PostError (request, 'BadParameter', 'Missing extension parameter.');
+        else if (listPath == undefined)
+          PostError (request, 'AccessDenied', AccessDeniedMessage (fields[1]));
+        else
+        {
+          // Get a list of files under NodeBot_Client/path with extension ext
+          // If ext is '*' then all files are returned
+          FileSystem.readdir (listPath, function (error, files)
+          {
+            if (error)
+              PostError (request, 'FileError', 'Unable to get file list: ' + error.message);
+            else
+            {
+              var ext = fields[2];
+
+              // Send array of filenames as a comma delimited string
+              var fileNames = files.filter (function (name)
+              {
+                return (ext == '*' || name.endsWith (ext));
+              });
+
+              PostReply (request, 'FileList', { path : fields[1], files : fileNames }, 'FileList|' + fileNames.join (','));
+            }
+          });
+        }
+      }
+
+      //-----------------------------------------
+      // GetFile|path
+      // (relative to NodeBot_Client folder)
+      //-----------------------------------------
+      else if (command == 'GetFile')
+      {
+        var readPath = ResolveClientPath (fields[1]);
+
+        // Get contents of file at NodeBot_Client/path
+        if (readPath == undefined)
+          PostError (request, 'AccessDenied', AccessDeniedMessage (fields[1]));
+        else
+        {
+          FileSystem.readFile (readPath, function (error, fileData)
+          {
+            if (error)
+              PostError (request, 'FileError', 'Error reading file: ' + error.message);
+            else
+              PostReply (request, 'File', { path : fields[1], contents : fileData.toString() }, 'File|' + fields[1] + '|' + fileData.toString());
+          });
+        }
+      }
+
+      //-----------------------------------------
+      // PutFile|path|contents
+      // (relative to NodeBot_Client folder)
+      //-----------------------------------------
+      else if (command == 'PutFile')
+      {
+        var writePath = ResolveClientPath (fields[1]);
+
+        // Write contents to file at NodeBot_Client/path
+        if (writePath == undefined)
+          PostError (request, 'AccessDenied', AccessDeniedMessage (fields[1]));
+        else
+        {
+          // Contents may contain '|'
+          FileSystem.writeFile (writePath, fields.slice (2).join ('|'), function (error)
+          {
+            if (error)
+              PostError (request, 'FileError', 'Error writing file: ' + error.message);
+            else
+              PostAck (request);
+          });
+        }
+      }
+
+      //-----------------------------------------
+      // GetFileTree|path|ext
+      // DeleteFile|path
+      // RenameFile|path|newPath
+      // MakeDir|path
+      // StatFile|path
+      // (relative to NodeBot_Client folder)
+      //-----------------------------------------
+      else if (command == 'GetFileTree')
+        GetFileTree (fields[1], (fields[2] == undefined ? '*' : fields[2]), request);
+
+      else if (command == 'DeleteFile')
+        DeleteFile (fields[1], request);
+
+      else if (command == 'RenameFile')
+      {
+        if (fields[2] == undefined)
+          PostError (request, 'BadParameter', 'Missing new path parameter.');
+        else
+          RenameFile (fields[1], fields[2], request);
+      }
+
+      else if (command == 'MakeDir')
+        MakeDir (fields[1], request);
+
+      else if (command == 'StatFile')
+        StatFile (fields[1], request);
+
+      //-----------------------------------------
+      // Chunked file transfer (binary as base64)
+      //
+      // GetFileChunked|path|chunkSize
+      // FileChunkAck|path|received
+      // PutFileBegin|path|size
+      // PutFileChunk|path|offset|base64
+      // PutFileEnd|path|crc32
+      //-----------------------------------------
+      else if (command == 'GetFileChunked')
+        GetFileChunked (fields[1], parseInt (fields[2]), request);
+
+      else if (command == 'FileChunkAck')
+        FileChunkAck (fields[1], parseInt (fields[2]), request);
+
+      else if (command == 'PutFileBegin')
+        PutFileBegin (fields[1], parseInt (fields[2]), request);
+
+      else if (command == 'PutFileChunk')
+      {
+        if (fields[3] == undefined)
+          PostError (request, 'BadParameter', 'Missing chunk data parameter.');
+        else
+          PutFileChunk (fields[1], parseInt (fields[2]), fields[3], request);
+      }
+
+      else if (command == 'PutFileEnd')
+        PutFileEnd (fields[1], fields[2], request);
+
+      //-----------------------------------------
+      // Unknown command
+      //-----------------------------------------
+      else
+        PostError (request, 'BadCommand', 'Bad command: ' + fields.join ('|'));
+    }
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+
+//-----------------------------------------------------------------------------
+//  File Manager
+//
+//  All paths are relative to the NodeBot_Client folder (see ResolveClientPath).
+//  The NodeBot_Client folder itself can not be deleted or renamed.
+//-----------------------------------------------------------------------------
+
+//--- GetFileTree -----------------------------------------
+
+function GetFileTree (clientPath, ext, request)
+{
+  try
+  {
+    var treePath = ResolveClientPath (clientPath);
+
+    if (treePath == undefined)
+    {
+      PostError (request, 'AccessDenied', AccessDeniedMessage (clientPath));
+      return;
+    }
+
+    // FileTree|[{path, type}, ...] with paths relative to <clientPath>
+    ListFilesRecursive (treePath, '', ext, function (error, entries)
+    {
+      if (error)
+        PostError (request, 'FileError', 'Unable to get file tree: ' + error.message);
+      else
+        PostReply (request, 'FileTree', { path : clientPath, entries : entries }, 'FileTree|' + JSON.stringify (entries));
+    });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- ListFilesRecursive ----------------------------------
+
+function ListFilesRecursive (folder, relativeFolder, ext, callback)
+{
+  // Calls back with an array of { path, type: 'dir' or 'file' },
+  // all directories and the files with extension <ext> ('*' for all).
+  // Symbolic links are skipped:  they may loop, or lead out of FileRootFolder.
+  FileSystem.readdir (folder, function (error, names)
+  {
+    if (error)
+    {
+      callback (error);
+      return;
+    }
+
+    var entries   = [];
+    var remaining = names.length;
+    var failed    = false;
+
+    if (remaining == 0)
+    {
+      callback (undefined, entries);
+      return;
+    }
+
+    names.sort ().forEach (function (name)
+    {
+      var fullPath     = Path.join (folder, name);
+      var relativePath = (relativeFolder == '' ? name : relativeFolder + '/' + name);
+
+      FileSystem.lstat (fullPath, function (statError, stats)
+      {
+        if (failed)
+          return;
+
+        if (statError)
+        {
+          failed = true;
+          callback (statError);
+          return;
+        }
+
+        if (stats.isSymbolicLink ())
+        {
+          if (--remaining == 0)
+            callback (undefined, SortFileEntries (entries));
+        }
+
+        else if (stats.isDirectory ())
+        {
+          entries.push ({ path : relativePath, type : 'dir' });
+
+          ListFilesRecursive (fullPath, relativePath, ext, function (subError, subEntries)
+          {
+            if (failed)
+              return;
+
+            if (subError)
+            {
+              failed = true;
+              callback (subError);
+              return;
+            }
+
+            entries = entries.concat (subEntries);
+            if (--remaining == 0)
+              callback (undefined, SortFileEntries (entries));
+          });
+        }
+        else
+        {
+          if (ext == '*' || name.endsWith (ext))
+            entries.push ({ path : relativePath, type : 'file' });
+
+          if (--remaining == 0)
+            callback (undefined, SortFileEntries (entries));
+        }
+      });
+    });
+  });
+}
+
+//--- SortFileEntries -------------------------------------
+
+function SortFileEntries (entries)
+{
+  // Stats complete in any order:  keep listings stable
+  return entries.sort (function (a, b)
+  {
+    return (a.path < b.path ? -1 : (a.path > b.path ? 1 : 0));
+  });
+}
+
+//--- DeleteFile ------------------------------------------
+
+function DeleteFile (clientPath, request)
+{
+  try
+  {
+    var deletePath = ResolveClientPath (clientPath);
+
+    if (deletePath == undefined || deletePath == FileRootFolder)
+    {
+      PostError (request, 'AccessDenied', AccessDeniedMessage (clientPath));
+      return;
+    }
+
+    // Files are unlinked, (empty) directories removed
+    FileSystem.stat (deletePath, function (error, stats)
+    {
+      if (error)
+      {
+        PostError (request, 'FileError', 'Error deleting file: ' + error.message);
+        return;
+      }
+
+      var remove = (stats.isDirectory () ? FileSystem.rmdir : FileSystem.unlink);
+
+      remove (deletePath, function (removeError)
+      {
+        if (removeError)
+          PostError (request, 'FileError', 'Error deleting file: ' + removeError.message);
+        else
+          PostReply (request, 'FileDeleted', { path : clientPath }, 'FileDeleted|' + clientPath);
+      });
+    });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- RenameFile ------------------------------------------
+
+function RenameFile (clientPath, newClientPath, request)
+{
+  try
+  {
+    var oldPath = ResolveClientPath (clientPath);
+    var newPath = ResolveClientPath (newClientPath);
+
+    if (oldPath == undefined || oldPath == FileRootFolder)
+      PostError (request, 'AccessDenied', AccessDeniedMessage (clientPath));
+    else if (newPath == undefined || newPath == FileRootFolder)
+      PostError (request, 'AccessDenied', AccessDeniedMessage (newClientPath));
+    else
+    {
+      FileSystem.rename (oldPath, newPath, function (error)
+      {
+        if (error)
+          PostError (request, 'FileError', 'Error renaming file: ' + error.message);
+        else
+          PostReply (request, 'FileRenamed', { path : clientPath, newPath : newClientPath }, 'FileRenamed|' + clientPath + '|' + newClientPath);
+      });
+    }
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- MakeDir ---------------------------------------------
+
+function MakeDir (clientPath, request)
+{
+  try
+  {
+    var dirPath = ResolveClientPath (clientPath);
+
+    if (dirPath == undefined)
+    {
+      PostError (request, 'AccessDenied', AccessDeniedMessage (clientPath));
+      return;
+    }
+
+    FileSystem.mkdir (dirPath, function (error)
+    {
+      if (error)
+        PostError (request, 'FileError', 'Error making directory: ' + error.message);
+      else
+        PostReply (request, 'DirMade', { path : clientPath }, 'DirMade|' + clientPath);
+    });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- StatFile --------------------------------------------
+
+function StatFile (clientPath, request)
+{
+  try
+  {
+    var statPath = ResolveClientPath (clientPath);
+
+    if (statPath == undefined)
+    {
+      PostError (request, 'AccessDenied', AccessDeniedMessage (clientPath));
+      return;
+    }
+
+    // FileStat|path|{type, size, mtime}
+    FileSystem.stat (statPath, function (error, stats)
+    {
+      if (error)
+        PostError (request, 'FileError', 'Error getting file status: ' + error.message);
+      else
+      {
+        var fileStat = { type  : (stats.isDirectory () ? 'dir' : 'file'),
+                         size  : stats.size,
+                         mtime : stats.mtime.toISOString () };
+
+        PostReply (request, 'FileStat', { path : clientPath, stat : fileStat }, 'FileStat|' + clientPath + '|' + JSON.stringify (fileStat));
+      }
+    });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//-----------------------------------------------------------------------------
+//  Chunked File Transfer
+//
+//  Large and binary files (firmware images, recorded trajectories) are moved
+//  in base64 chunks so they never pass through the '|' message split as text.
+//  Each transfer ends with a CRC-32 (8 hex digits) of the whole file.
+//
+//  Download:  GetFileChunked|path|chunkSize  ->  FileBegin|path|size
+//                                                FileChunk|path|offset|base64  (repeated)
+//             FileChunkAck|path|received     ->  FileChunk|path|offset|base64  (more)
+//                                                FileEnd|path|size|crc32
+//
+//  The client acks each chunk with the bytes received so far.  No more than
+//  ChunkWindow chunks are sent ahead of its acks, so a slow client is never
+//  flooded.
+//
+//  Upload:    PutFileBegin|path|size         ->  PutFileProgress|path|0|size
+//             PutFileChunk|path|offset|base64 -> PutFileProgress|path|received|size
+//             PutFileEnd|path|crc32          ->  FileSaved|path|size
+//
+//  Uploads are written to '<path>.part' and only renamed to <path> once the
+//  size and checksum match.  PutFileProgress follows each chunk once it is
+//  written.
+//-----------------------------------------------------------------------------
+
+//--- GetFileChunked --------------------------------------
+
+function GetFileChunked (clientPath, chunkSize, request)
+{
+  try
+  {
+    var readPath = ResolveClientPath (clientPath);
+
+    if (readPath == undefined)
+    {
+      PostError (request, 'AccessDenied', AccessDeniedMessage (clientPath));
+      return;
+    }
+
+    if (isNaN (chunkSize) || chunkSize <= 0)
+      chunkSize = DefaultChunkSize;
+    chunkSize = Math.min (chunkSize, MaxChunkSize);
+
+    FileSystem.open (readPath, 'r', function (error, fd)
+    {
+      if (error)
+      {
+        PostError (request, 'FileError', 'Error reading file: ' + error.message);
+        return;
+      }
+
+      FileSystem.fstat (fd, function (statError, stats)
+      {
+        if (statError || !stats.isFile ())
+        {
+          FileSystem.close (fd, function () {});
+          PostError (request, 'FileError', 'Error reading file: ' + (statError ? statError.message : clientPath + ' is not a file'));
+          return;
+        }
+
+        var download = { path      : clientPath,
+                         fd        : fd,
+                         buffer    : Buffer.alloc (chunkSize),
+                         chunkSize : chunkSize,
+                         offset    : 0,       // bytes sent
+                         received  : 0,       // bytes the client has acknowledged
+                         crc       : 0,
+                         reading   : false,
+                         closed    : false,
+                         request   : request };
+
+        // Starting over replaces any unfinished download of the same file
+        if (request.client.downloads.has (clientPath))
+          CloseDownload (request.client, request.client.downloads.get (clientPath));
+
+        request.client.downloads.set (clientPath, download);
+
+        PostReply (request, 'FileBegin', { path : clientPath, size : stats.size }, 'FileBegin|' + clientPath + '|' + stats.size.toString());
+        SendFileChunks (download);
+      });
+    });
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- SendFileChunks --------------------------------------
+
+function SendFileChunks (download)
+{
+  // Read and send one chunk at a time, no more than ChunkWindow chunks
+  // ahead of the client's FileChunkAck
+  var request = download.request;
+
+  if (download.closed || download.reading || download.offset - download.received >= ChunkWindow * download.chunkSize)
+    return;
+
+  // Stop if the client went away
+  if (WebClients.indexOf (request.client) < 0)
+  {
+    CloseDownload (request.client, download);
+    return;
+  }
+
+  download.reading = true;
+
+  FileSystem.read (download.fd, download.buffer, 0, download.chunkSize, download.offset, function (readError, bytesRead)
+  {
+    download.reading = false;
+
+    if (download.closed)
+      return;
+
+    if (readError)
+    {
+      CloseDownload (request.client, download);
+      PostError (request, 'FileError', 'Error reading file: ' + readError.message);
+      return;
+    }
+
+    if (bytesRead == 0)
+    {
+      CloseDownload (request.client, download);
+      PostReply (request, 'FileEnd', { path : download.path, size : download.offset, crc32 : Crc32Hex (download.crc) }, 'FileEnd|' + download.path + '|' + download.offset.toString() + '|' + Crc32Hex (download.crc));
+      return;
+    }
+
+    var chunk = download.buffer.slice (0, bytesRead);
+
+    download.crc = Crc32 (chunk, download.crc);
+    PostReply (request, 'FileChunk', { path : download.path, offset : download.offset, data : chunk.toString ('base64') }, 'FileChunk|' + download.path + '|' + download.offset.toString() + '|' + chunk.toString ('base64'), true);
+    download.offset += bytesRead;
+
+    SendFileChunks (download);
+  });
+}
+
+//--- FileChunkAck ----------------------------------------
+
+function FileChunkAck (clientPath, received, request)
+{
+  // The client has <received> bytes of the file:  send more.
+  // Acks that come after FileEnd are ignored.
+  var download = request.client.downloads.get (clientPath);
+
+  if (download == undefined || isNaN (received))
+    return;
+
+  download.received = Math.max (download.received, Math.min (received, download.offset));
+  SendFileChunks (download);
+}
+
+//--- CloseDownload ---------------------------------------
+
+function CloseDownload (client, download)
+{
+  if (download.closed)
+    return;
+
+  download.closed = true;
+
+  if (client.downloads.get (download.path) == download)
+    client.downloads.delete (download.path);
+
+  FileSystem.close (download.fd, function () {});
+}
+
+//--- PutFileBegin ----------------------------------------
+
+function PutFileBegin (clientPath, size, request)
+{
+  try
+  {
+    var writePath = ResolveClientPath (clientPath);
+
+    if (writePath == undefined || writePath == FileRootFolder)
+    {
+      PostError (request, 'AccessDenied', AccessDeniedMessage (clientPath));
+      return;
+    }
+
+    if (isNaN (size) || size < 0)
+    {
+      PostError (request, 'BadParameter', 'Bad file size: ' + clientPath);
+      return;
+    }
+
+    // Starting over replaces any unfinished upload of the same file
+    AbortUpload (request.client, clientPath);
+
+    var upload = { path      : writePath,
+                   partPath  : writePath + '.part',
+                   fd        : undefined,
+                   size      : size,
+                   received  : 0,      // bytes accepted, written or waiting to be written
+                   crc       : 0,
+                   steps     : [],     // file operations waiting, see UploadStep
+                   busy      : false,
+                   discarded : false };
+
+    request.client.uploads.set (clientPath, upload);
+
+    UploadStep (upload, function (done)
+    {
+      FileSystem.open (upload.partPath, 'w', function (error, fd)
+      {
+        if (!upload.discarded)
+        {
+          if (error)
+          {
+            DropUpload (request.client, clientPath, upload);
+            PostError (request, 'FileError', 'Error writing file: ' + error.message);
+          }
+          else
+          {
+            upload.fd = fd;
+            PostReply (request, 'PutFileProgress', { path : clientPath, received : 0, size : size }, 'PutFileProgress|' + clientPath + '|0|' + size.toString());
+          }
+        }
+        else if (!error)
+          upload.fd = fd;  // for DiscardUpload to close
+
+        done ();
+      });
+    });
+  }
+  catch (ex)
+  {
+    PostError (request, 'FileError', 'Error writing file: ' + ex.message);
+  }
+}
+
+//--- PutFileChunk ----------------------------------------
+
+function PutFileChunk (clientPath, offset, base64Data, request)
+{
+  try
+  {
+    var upload = request.client.uploads.get (clientPath);
+
+    if (upload == undefined)
+    {
+      PostError (request, 'BadParameter', 'No upload in progress: ' + clientPath);
+      return;
+    }
+
+    // Chunks must arrive in order
+    if (offset != upload.received)
+    {
+      PostError (request, 'BadParameter', 'Bad chunk offset for ' + clientPath + ': expected ' + upload.received.toString() + ', got ' + offset.toString());
+      return;
+    }
+
+    var chunk = Buffer.from (base64Data, 'base64');
+
+    if (upload.received + chunk.length > upload.size)
+    {
+      AbortUpload (request.client, clientPath);
+      PostError (request, 'BadParameter', 'Upload of ' + clientPath + ' is larger than its size');
+      return;
+    }
+
+    upload.crc       = Crc32 (chunk, upload.crc);
+    upload.received += chunk.length;
+
+    var received = upload.received;
+
+    UploadStep (upload, function (done)
+    {
+      FileSystem.write (upload.fd, chunk, 0, chunk.length, function (error)
+      {
+        if (!upload.discarded)
+        {
+          if (error)
+          {
+            DropUpload (request.client, clientPath, upload);
+            PostError (request, 'FileError', 'Error writing file: ' + error.message);
+          }
+          else
+            PostReply (request, 'PutFileProgress', { path : clientPath, received : received, size : upload.size }, 'PutFileProgress|' + clientPath + '|' + received.toString() + '|' + upload.size.toString(), true);
+        }
+
+        done ();
+      });
+    });
+  }
+  catch (ex)
+  {
+    AbortUpload (request.client, clientPath);
+    PostError (request, 'FileError', 'Error writing file: ' + ex.message);
+  }
+}
+
+//--- PutFileEnd ------------------------------------------
+
+function PutFileEnd (clientPath, crc32, request)
+{
+  try
+  {
+    var upload = request.client.uploads.get (clientPath);
+
+    if (upload == undefined)
+    {
+      PostError (request, 'BadParameter', 'No upload in progress: ' + clientPath);
+      return;
+    }
+
+    if (upload.received != upload.size)
+    {
+      AbortUpload (request.client, clientPath);
+      PostError (request, 'BadParameter', 'Upload of ' + clientPath + ' is incomplete: ' + upload.received.toString() + ' of ' + upload.size.toString() + ' bytes');
+      return;
+    }
+
+    if ((crc32 || '').toLowerCase () != Crc32Hex (upload.crc))
+    {
+      AbortUpload (request.client, clientPath);
+      PostError (request, 'ChecksumMismatch', 'Checksum mismatch for ' + clientPath + ': upload discarded');
+      return;
+    }
+
+    request.client.uploads.delete (clientPath);
+
+    // Once the last chunk is written, replace the file (only now that it is complete)
+    UploadStep (upload, function (done)
+    {
+      var fd = upload.fd;
+
+      upload.fd = undefined;
+
+      FileSystem.close (fd, function (closeError)
+      {
+        if (closeError)
+        {
+          DiscardUpload (upload);
+          PostError (request, 'FileError', 'Error writing file: ' + closeError.message);
+          done ();
+          return;
+        }
+
+        FileSystem.rename (upload.partPath, upload.path, function (error)
+        {
+          if (error)
+          {
+            DiscardUpload (upload);
+            PostError (request, 'FileError', 'Error writing file: ' + error.message);
+          }
+          else
+            PostReply (request, 'FileSaved', { path : clientPath, size : upload.size }, 'FileSaved|' + clientPath + '|' + upload.size.toString());
+
+          done ();
         });
-      }
+      });
+    });
+  }
+  catch (ex)
+  {
+    AbortUpload (request.client, clientPath);
+    PostError (request, 'FileError', 'Error writing file: ' + ex.message);
+  }
+}
 
-      //-----------------------------------------
-      // Unknown command
-      //-----------------------------------------
-      else
-        PostMessage ('Bad command: ' + clientMessage, true);
+//--- UploadStep ------------------------------------------
+
+function UploadStep (upload, step)
+{
+  // The file operations of an upload run one after another, each calling
+  // step (done) and done () when it is finished.  Chunks may so arrive
+  // while earlier ones are still being written.
+  upload.steps.push (step);
+
+  if (!upload.busy)
+    NextUploadStep (upload);
+}
+
+function NextUploadStep (upload)
+{
+  var step = upload.steps.shift ();
+
+  upload.busy = (step != undefined);
+
+  if (step != undefined)
+    step (function () { NextUploadStep (upload); });
+}
+
+//--- AbortUpload / DropUpload / DiscardUpload ------------
+
+function AbortUpload (client, clientPath)
+{
+  // Discard an unfinished upload and its partial file
+  var upload = client.uploads.get (clientPath);
+
+  if (upload != undefined)
+    DropUpload (client, clientPath, upload);
+}
+
+function DropUpload (client, clientPath, upload)
+{
+  // (Unless a new upload of the same path has taken its place)
+  if (client.uploads.get (clientPath) == upload)
+    client.uploads.delete (clientPath);
+
+  DiscardUpload (upload);
+}
+
+function DiscardUpload (upload)
+{
+  if (upload.discarded)
+    return;
+
+  upload.discarded = true;
+  upload.steps     = [];
+
+  // After any operation in progress:  close and delete the partial file
+  UploadStep (upload, function (done)
+  {
+    var unlinkPart = function ()
+    {
+      FileSystem.unlink (upload.partPath, function () { done (); });
+    };
+
+    if (upload.fd == undefined)
+      unlinkPart ();
+    else
+      FileSystem.close (upload.fd, function ()
+      {
+        upload.fd = undefined;
+        unlinkPart ();
+      });
+  });
+}
+
+//--- AbortTransfers --------------------------------------
+
+function AbortTransfers (client)
+{
+  // The client went away
+  client.uploads.forEach (function (upload, clientPath)
+  {
+    DropUpload (client, clientPath, upload);
+  });
+
+  client.downloads.forEach (function (download)
+  {
+    CloseDownload (client, download);
+  });
+}
+
+//--- Crc32 -----------------------------------------------
+
+function Crc32 (buffer, previousCrc)
+{
+  // Standard CRC-32 (as in zip), continued from <previousCrc>
+  var crc, i, j;
+
+  if (Crc32Table == undefined)
+  {
+    Crc32Table = [];
+    for (i=0; i<256; i++)
+    {
+      crc = i;
+      for (j=0; j<8; j++)
+        crc = (crc & 1) ? (0xEDB88320 ^ (crc >>> 1)) : (crc >>> 1);
+      Crc32Table[i] = crc >>> 0;
+    }
+  }
+
+  crc = (previousCrc ^ 0xFFFFFFFF) >>> 0;
+  for (i=0; i<buffer.length; i++)
+    crc = Crc32Table[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function Crc32Hex (crc)
+{
+  return crc.toString (16).padLeft ('0', 8);
+}
+
+//--- AccessDeniedMessage ---------------------------------
+
+function AccessDeniedMessage (clientPath)
+{
+  return 'Access denied: ' + clientPath + ' is outside the NodeBot_Client folder';
+}
+
+
+//-----------------------------------------------------------------------------
+//  ResolveClientPath
+//
+//  Client file paths are relative to the NodeBot_Client folder and may use
+//  either '/' or '\' on any OS.  Returns the full path, or undefined if the
+//  path would lead outside of FileRootFolder (e.g. '../../etc/passwd').
+//-----------------------------------------------------------------------------
+
+function ResolveClientPath (clientPath)
+{
+  try
+  {
+    var fullPath     = Path.resolve (FileRootFolder, (clientPath || '').replaceAll ('\\', '/'));
+    var relativePath = Path.relative (FileRootFolder, fullPath);
+
+    if (relativePath == '..' || relativePath.startsWith ('..' + Path.sep) || Path.isAbsolute (relativePath))
+      return undefined;
+
+    return fullPath;
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+    return undefined;
+  }
+}
+
+
+//-----------------------------------------------------------------------------
+//  Client Replies
+//
+//  Replies go only to the client that sent the request, in the protocol
+//  the request came in:
+//
+//    legacy : <legacyMessage>, e.g. 'File|path|contents'
+//    JSON   : { "v": 1, "type": <type>, "id": <request id>, "payload": <payload> }
+//
+//  Errors are sent as { "type": "Error", "payload": { "code", "message" } }
+//  in JSON, and as the plain error message in the legacy protocol.
+//
+//  Commands that have no reply of their own (id|message, Broadcast, PutFile)
+//  are acknowledged with { "type": "Ack" } in JSON only.
+//-----------------------------------------------------------------------------
+
+//--- PostReply -------------------------------------------
+
+function PostReply (request, type, payload, legacyMessage, noEcho)
+{
+  try
+  {
+    if (request != undefined)
+    {
+      // A REST API request gets one reply, with the HTTP status of any error
+      if (request.http != undefined)
+      {
+        if (!request.http.headersSent)
+          request.http.status (type == 'Error' ? HttpErrorStatus[payload.code] || 500 : 200).json ({ type : type, payload : payload });
+      }
+      else if (request.json)
+        request.client.webSocket.emit ('json', { v : ProtocolVersion, type : type, id : request.id, payload : payload });
+      else if (legacyMessage != undefined)
+        request.client.webSocket.send (legacyMessage);
     }
+
+    // Echo reply to the log (unless it is bulk data, e.g. file chunks)
+    if (legacyMessage != undefined && !noEcho)
+      PostMessage (legacyMessage, false, (/^(File|Dir|PutFile)/.test (type) ? 'file' : 'client'), (type == 'Error' ? 'warn' : 'info'));
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- PostError -------------------------------------------
+
+function PostError (request, code, message)
+{
+  PostReply (request, 'Error', { code : code, message : message }, message);
+}
+
+//--- PostAck ---------------------------------------------
+
+function PostAck (request)
+{
+  PostReply (request, 'Ack', {}, undefined);
+}
+
+//--- PostEvent -------------------------------------------
+
+function PostEvent (type, payload, legacyMessage)
+{
+  try
+  {
+    // Send to all connected clients, each in its own protocol
+    WebClients.forEach (function (client)
+    {
+      SendToClient (client, type, payload, legacyMessage);
+    });
+
+    PostMessage (legacyMessage, false, 'client');
+  }
+  catch (ex)
+  {
+    ShowException (ex);
+  }
+}
+
+//--- SendToClient ----------------------------------------
+
+function SendToClient (client, type, payload, legacyMessage)
+{
+  try
+  {
+    // Clients not logged in receive nothing
+    if (!HasRole (client, 'viewer'))
+      return;
+
+    if (client.json)
+      client.webSocket.emit ('json', { v : ProtocolVersion, type : type, payload : payload });
+    else
+      client.webSocket.send (legacyMessage);
   }
   catch (ex)
   {
-    ShowException (ex, WebSocket);
+    ShowException (ex);
   }
 }
 
 
 //-----------------------------------------------------------------------------
 //  PostMessage
+//
+//  sendToClient : true          - send to all connected clients
+//                 client object - send only to that client
+//                 false         - log only
+//
+//  category     : server (default), serial, client, file, http or safety
+//  level        : debug, info (default), warn or error  (see Log.js)
 //-----------------------------------------------------------------------------
 
-function PostMessage (message, sendToClient)
+function PostMessage (message, sendToClient, category, level)
 {
   try
   {
-    // Send message to client app by WebSocket, if specified
-    if (sendToClient && (WebSocket != undefined))
-      WebSocket.send (message);
+    // Send message to client app(s) by WebSocket, if specified
+    if (sendToClient === true)
+    {
+      WebClients.forEach (function (client)
+      {
+        SendToClient (client, 'Message', { text : message }, message);
+      });
+    }
+    else if (sendToClient)
+      SendToClient (sendToClient, 'Message', { text : message }, message);
 
-    // Echo message to console
-    console.log (GetTimestamp() + ': ' + message);
+    // Log it (console, log file and live log clients)
+    Log.Write (level || 'info', category || 'server', message);
   }
   catch (ex)
   {
@@ -528,7 +5560,7 @@ function LoadStringExtras ()
   {
     String.prototype.padLeft = function (padChar, totalLength)
     {
-      var paddedString = this;
+      var paddedString = this.toString();  // a string, not a String object (== compares objects by reference)
 
       while (paddedString.length < totalLength)
         paddedString = padChar + paddedString;
@@ -541,7 +5573,7 @@ function LoadStringExtras ()
   {
     String.prototype.padRight = function (padChar, totalLength)
     {
-      var paddedString = this;
+      var paddedString = this.toString();
 
       while (paddedString.length < totalLength)
         paddedString += padChar;
@@ -570,50 +5602,16 @@ function LoadStringExtras ()
   }
 }
 
-//--- GetTimestamp ----------------------------------------
-
-function GetTimestamp ()
-{
-  var timestamp = '';
-
-  try
-  {
-    var newDate = new Date ();
-
-    // Return a current timestamp
-    timestamp = newDate.getHours        ().toString().padLeft  ('0', 2) + ':' +
-                newDate.getMinutes      ().toString().padLeft  ('0', 2) + ':' +
-                newDate.getSeconds      ().toString().padLeft  ('0', 2) + '.' +
-                newDate.getMilliseconds ().toString().padRight ('0', 3);
-  }
-  catch (ex)
-  {
-    ShowException (ex);
-  }
-
-  return timestamp;
-}
-
 //---------------------------------------------------------
 //  Exception Handling
 //---------------------------------------------------------
 
 function ShowException (ex)
 {
-  // Show exception details
+  // Show exception details, with the stack trace
   try
   {
-    var msg = '███ Exception ███ ';
-
-    if (ex != undefined)
-    {
-      if (ex.message == undefined)
-        msg += ex;
-      else
-        msg += ex.message + '\n' + ex.filename + ' (line ' + ex.lineNumber + ')';
-    }
-
-    console.log ('\n' + msg + '\n');
+    Log.Exception (ex, 'server');
   }
   catch (exSE)
   {
@@ -0,0 +1,481 @@
+//=============================================================================
+//
+//     FILE : VirtualPort.js
+//
+//  PROJECT : HTTP and WebSocket Server for NodeBots
+//
+//  PURPOSE : Simulated MCU boards, for working without the hardware.
+//
+//            █ A VirtualPort works like a node-serialport port as far as
+//              NodeBotServer is concerned (see NetworkPort.js), but the
+//              "board" at the other end is simulated right here.  The rest
+//              of the server, id|message, Broadcast, Query, file commands
+//              and all, runs just the same.
+//
+//            █ A virtual device has "transport" : "virtual" in
+//              'portConfigs.json' and answers messages with any of:
+//
+//                "rules"     - a table of request -> response rules, tried in
+//                              order.  "match" is a regular expression, the
+//                              "reply" (text or array of texts) may use its
+//                              groups ($1, $2, ...) and is sent after "delay" ms.
+//
+//                "telemetry" - messages sent every "interval" ms.
+//
+//                "responder" - a JS module (path relative to the NodeBot_Server
+//                              folder) for anything the rules can't do.
+//
+//                "replay"    - a recorded session file (path relative to the
+//                              NodeBot_Server folder, see Traffic Recording in
+//                              NodeBotServer.js).  The firmware messages that
+//                              "replayDevice" (its deviceName, or the first
+//                              device recorded) sent are sent again, with the
+//                              same time between them.  With "replaySync" : true
+//                              the replay waits at each message that was written
+//                              to the device until the same message is written
+//                              again, so the answers follow the requests.
+//
+//              "responder" and "replay" are only taken from 'portConfigs.json'
+//              as loaded at startup, never from AddDevice.
+//
+//              For example:
+//
+//                {
+//                  "deviceName" : "Simulated Arm",
+//                  "transport"  : "virtual",
+//                  "rules"      : [
+//                                   { "match" : "^GETPOS$",   "reply" : "POS 123 456", "delay" : 20 },
+//                                   { "match" : "^MOVE (.*)", "reply" : ["ACK $1", "DONE"], "delay" : 500 }
+//                                 ],
+//                  "telemetry"  : [ { "message" : "T=23.4 V=11.9", "interval" : 1000 } ],
+//                  "responder"  : "simulators/arm.js",
+//                  "serialPort" : "undefined"
+//                }
+//
+//            █ A responder module exports a function that is called each time
+//              the device is opened and returns the message handler:
+//
+//                module.exports = function (sim)
+//                {
+//                  // sim.device                - the device's config
+//                  // sim.send (message)        - send a firmware message to the server
+//                  // sim.setTimeout (fn, ms)   - timers that stop when the device closes
+//                  // sim.setInterval (fn, ms)
+//
+//                  return function (message)
+//                  {
+//                    if (message == 'HOME')
+//                      sim.setTimeout (function () { sim.send ('HOMED'); }, 2000);
+//                  };
+//                };
+//
+//   AUTHOR : agent <agent@local>
+//            Copyright (c) 2026
+//
+//=============================================================================
+
+//--- Globals -----------------------------------------------------------------
+
+var  EventEmitter = require ("events");
+var  Util         = require ("util");
+var  Path         = require ("path");
+var  FileSystem   = require ("fs");
+var  Framing      = require ("./Framing.js");
+
+var  ServerOnlyKeys = ['responder', 'replay'];  // paths of server files, not to be set by clients
+
+module.exports = { ServerOnlyKeys     : ServerOnlyKeys,
+                   IsVirtualDevice    : IsVirtualDevice,
+                   CheckVirtualConfig : CheckVirtualConfig,
+                   VirtualPortName    : VirtualPortName,
+                   VirtualPort        : VirtualPort };
+
+
+//-----------------------------------------------------------------------------
+//  IsVirtualDevice / CheckVirtualConfig / VirtualPortName
+//-----------------------------------------------------------------------------
+
+function IsVirtualDevice (device)
+{
+  return device.transport == 'virtual';
+}
+
+function CheckVirtualConfig (device)
+{
+  // Returns a description of what is wrong with a virtual device config, or ''
+  var i;
+
+  if (device.rules != undefined)
+  {
+    if (!Array.isArray (device.rules))
+      return '"rules" must be an array';
+
+    for (i=0; i<device.rules.length; i++)
+    {
+      if (device.rules[i] == null || typeof device.rules[i].match != 'string')
+        return '"rules[' + i.toString() + '].match" must be a regular expression string';
+
+      try
+      {
+        new RegExp (device.rules[i].match);
+      }
+      catch (ex)
+      {
+        return '"rules[' + i.toString() + '].match": ' + ex.message;
+      }
+    }
+  }
+
+  if (device.telemetry != undefined)
+  {
+    if (!Array.isArray (device.telemetry))
+      return '"telemetry" must be an array';
+
+    for (i=0; i<device.telemetry.length; i++)
+    {
+      if (device.telemetry[i] == null || !(device.telemetry[i].interval > 0))
+        return '"telemetry[' + i.toString() + '].interval" must be a number of ms';
+    }
+  }
+
+  if (device.responder != undefined && typeof device.responder != 'string')
+    return '"responder" must be the path of a JS module';
+
+  if (device.replay != undefined && typeof device.replay != 'string')
+    return '"replay" must be the path of a session file';
+
+  if (device.replayDevice != undefined && typeof device.replayDevice != 'string')
+    return '"replayDevice" must be the deviceName of a recorded device';
+
+  if (device.replaySync != undefined && typeof device.replaySync != 'boolean')
+    return '"replaySync" must be true or false';
+
+  return '';
+}
+
+function VirtualPortName (device)
+{
+  return 'virtual://' + device.deviceName;
+}
+
+
+//-----------------------------------------------------------------------------
+//  VirtualPort
+//-----------------------------------------------------------------------------
+
+function VirtualPort (device)
+{
+  EventEmitter.call (this);
+
+  this.path      = VirtualPortName (device);
+  this.device    = device;
+  this.connected = false;
+  this.timers    = [];
+  this.handler   = undefined;  // responder module's message handler
+  this.deframe   = undefined;
+  this.replay    = undefined;  // session being played back, see LoadReplay
+}
+
+Util.inherits (VirtualPort, EventEmitter);
+
+//--- open ------------------------------------------------
+
+VirtualPort.prototype.open = function (callback)
+{
+  var self = this;
+
+  callback = callback || function () {};
+
+  try
+  {
+    // Messages written to the "board" arrive framed, just like on a wire
+    self.deframe = Framing.CreateDeframer (self.device, function (frame)
+    {
+      self.Receive (Framing.BytesToText (self.device, frame));
+    });
+
+    // Load the responder module fresh, so edits take effect on reopen
+    if (self.device.responder != undefined)
+    {
+      var modulePath = Path.resolve (__dirname, self.device.responder);
+
+      delete require.cache[require.resolve (modulePath)];
+      self.handler = require (modulePath) (self.CreateSim ());
+    }
+
+    (self.device.telemetry || []).forEach (function (telemetry)
+    {
+      self.SetInterval (function ()
+      {
+        self.Send (telemetry.message);
+      },
+      telemetry.interval);
+    });
+
+    if (self.device.replay != undefined)
+      self.replay = self.LoadReplay ();
+  }
+  catch (ex)
+  {
+    self.StopTimers ();
+    callback (ex);
+    return;
+  }
+
+  // Open asynchronously, like a real port
+  setImmediate (function ()
+  {
+    self.connected = true;
+    self.emit ('open');
+    callback ();
+
+    if (self.replay != undefined)
+      self.ReplayNext ();
+  });
+};
+
+//--- Receive ---------------------------------------------
+
+VirtualPort.prototype.Receive = function (message)
+{
+  var self  = this;
+  var rules = self.device.rules || [];
+
+  // First matching rule answers
+  for (var i=0; i<rules.length; i++)
+  {
+    var match = new RegExp (rules[i].match).exec (message);
+
+    if (match != null)
+    {
+      // Fill in $1, $2, ... from the match
+      var replies = [].concat (rules[i].reply == undefined ? [] : rules[i].reply).map (function (reply)
+      {
+        return String (reply).replace (/\$(\d)/g, function (group, n)
+        {
+          return match[n] || '';
+        });
+      });
+
+      self.SetTimeout (function ()
+      {
+        replies.forEach (function (reply)
+        {
+          self.Send (reply);
+        });
+      },
+      rules[i].delay || 0);
+      break;
+    }
+  }
+
+  // A replay waiting for this message goes on
+  if (self.replay != undefined && self.replay.waiting && message == self.replay.records[self.replay.index].message)
+  {
+    self.replay.waiting = false;
+    self.replay.time    = self.replay.records[self.replay.index++].t;
+    self.ReplayNext ();
+  }
+
+  if (self.handler != undefined)
+  {
+    try
+    {
+      self.handler (message);
+    }
+    catch (ex)
+    {
+      self.emit ('error', ex);
+    }
+  }
+};
+
+//--- Send ------------------------------------------------
+
+VirtualPort.prototype.Send = function (message)
+{
+  // Firmware message from the "board" to the server
+  if (!this.connected)
+    return;
+
+  try
+  {
+    this.emit ('data', Framing.EncodeFrame (this.device, Framing.TextToBytes (this.device, String (message))));
+  }
+  catch (ex)
+  {
+    this.emit ('error', ex);
+  }
+};
+
+//--- LoadReplay ------------------------------------------
+
+VirtualPort.prototype.LoadReplay = function ()
+{
+  // Returns the replay state for the device's recorded session (throws if it can't)
+  var lines   = FileSystem.readFileSync (Path.resolve (__dirname, this.device.replay)).toString().split ('\n');
+  var records = [];
+  var name    = this.device.replayDevice;
+
+  lines.forEach (function (line, lineIndex)
+  {
+    if (line.trim () == '')
+      return;
+
+    try
+    {
+      records.push (JSON.parse (line));
+    }
+    catch (ex)
+    {
+      throw new Error ('Bad session record on line ' + (lineIndex + 1).toString() + ' of ' + this.device.replay);
+    }
+  },
+  this);
+
+  // Only the traffic of the one recorded device
+  if (name == undefined)
+  {
+    var firstMessage = records.find (function (record) { return record.type == 'in'; });
+    name = (firstMessage ? firstMessage.device : '');
+  }
+
+  records = records.filter (function (record)
+  {
+    return record.device == name && (record.type == 'in' || record.type == 'out');
+  });
+
+  return { records : records,
+           index   : 0,          // next record to play
+           time    : (records.length > 0 ? records[0].t : 0),  // recorded time of the last record played
+           waiting : false };    // for the server to write records[index]
+};
+
+//--- ReplayNext ------------------------------------------
+
+VirtualPort.prototype.ReplayNext = function ()
+{
+  var self   = this;
+  var replay = self.replay;
+
+  while (replay.index < replay.records.length)
+  {
+    var record = replay.records[replay.index];
+
+    if (record.type == 'out')
+    {
+      // Wait for the server to write it again, or play on by time
+      if (self.device.replaySync)
+      {
+        replay.waiting = true;
+        return;
+      }
+
+      replay.index++;
+      continue;
+    }
+
+    self.SetTimeout (function ()
+    {
+      replay.time = record.t;
+      replay.index++;
+      self.Send (record.message);
+      self.ReplayNext ();
+    },
+    Math.max (record.t - replay.time, 0));
+    return;
+  }
+};
+
+//--- CreateSim -------------------------------------------
+
+VirtualPort.prototype.CreateSim = function ()
+{
+  var self = this;
+
+  return { device      : self.device,
+           send        : function (message)      { self.Send (message); },
+           setTimeout  : function (fn, delay)    { return self.SetTimeout  (fn, delay); },
+           setInterval : function (fn, interval) { return self.SetInterval (fn, interval); } };
+};
+
+//--- SetTimeout / SetInterval / StopTimers ---------------
+
+VirtualPort.prototype.SetTimeout = function (fn, delay)
+{
+  var self  = this;
+  var timer = setTimeout (function ()
+  {
+    self.timers.splice (self.timers.indexOf (timer), 1);
+    fn ();
+  },
+  delay);
+
+  self.timers.push (timer);
+  return timer;
+};
+
+VirtualPort.prototype.SetInterval = function (fn, interval)
+{
+  var timer = setInterval (fn, interval);
+
+  this.timers.push (timer);
+  return timer;
+};
+
+VirtualPort.prototype.StopTimers = function ()
+{
+  this.timers.forEach (function (timer)
+  {
+    clearTimeout  (timer);
+    clearInterval (timer);
+  });
+
+  this.timers = [];
+};
+
+//--- isOpen ----------------------------------------------
+
+VirtualPort.prototype.isOpen = function ()
+{
+  return this.connected;
+};
+
+//--- write -----------------------------------------------
+
+VirtualPort.prototype.write = function (data, callback)
+{
+  if (!this.connected)
+  {
+    if (callback)
+      callback (new Error ('Not open'));
+    return;
+  }
+
+  this.deframe (Buffer.from (data));
+
+  if (callback)
+    callback ();
+};
+
+//--- drain -----------------------------------------------
+
+VirtualPort.prototype.drain = function (callback)
+{
+  // Written messages are taken at once
+  setImmediate (callback);
+};
+
+//--- close -----------------------------------------------
+
+VirtualPort.prototype.close = function (callback)
+{
+  this.StopTimers ();
+  this.connected = false;
+  this.handler   = undefined;
+  this.replay    = undefined;
+  this.emit ('close');
+
+  if (callback)
+    callback ();
+};